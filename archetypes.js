@@ -0,0 +1,452 @@
+import * as THREE from 'three';
+import {
+  BEHAVIOR,
+  BEAM_REACTION,
+  setBehavior,
+  moveToward,
+  settleOnGround,
+  pointAroundPlayer,
+  distanceThreat
+} from './entity-behavior.js';
+
+// creature archetype registry.
+// each archetype declares:
+//   id, cost (share of the global budget), maxActive
+//   faceCamera              -> tilt to look at the player's head, not just turn
+//   onLit                   -> BEAM_REACTION when the flashlight is on it
+//   revealedByBeam          -> only visible while lit
+//   beamHeight              -> height above its origin the beam is aimed at
+//   build()                 -> { object, setOpacity(o) }  mesh builder, pooled
+//   spawn.rate(ctx)         -> spawn chance per second
+//   spawn.when(ctx)         -> extra spawn condition
+//   spawn.place(ctx)        -> { x, z } start point
+//   start(inst, ctx)        -> initial behaviour
+//   update(inst, ctx)       -> movement / state machine, once per frame
+//   threat(inst, ctx)       -> 0..1 threat curve
+//   whispers                -> fallback lines when the narrative script has none for it
+// ctx: { camera, world, dt, focus, boldness, aggression, dawn, moving, stillTime, movingTime,
+//        crouching, detection (distance scale, < 1 while crouched), hiddenTime (breath held),
+//        flashlight, flashlightRange,
+//        say(def) -> a line for it to whisper }
+
+const registry = new Map();
+
+export function registerArchetype(def) {
+  if (!def || !def.id) throw new Error('archetype needs an id');
+  registry.set(def.id, {
+    cost: 1,
+    maxActive: 1,
+    faceCamera: false,
+    onLit: BEAM_REACTION.NONE,
+    revealedByBeam: false,
+    beamHeight: 0,
+    whispers: [],
+    ...def
+  });
+}
+
+export function getArchetype(id) {
+  return registry.get(id);
+}
+
+export function listArchetypes() {
+  return Array.from(registry.values());
+}
+
+// the first thing Jafet ever saw out here: a pair of red eyes
+registerArchetype({
+  id: 'watcher',
+  cost: 1,
+  maxActive: 1,
+  faceCamera: true,
+  // eyes hate the light
+  onLit: BEAM_REACTION.FLEE,
+  whispers: [
+    'he left you here',
+    'wake up if you can',
+    'the trees remember you',
+    'he likes it when you run',
+    'this is the third night',
+    'you have never left'
+  ],
+
+  build() {
+    const object = new THREE.Group();
+    const eyeGeo = new THREE.SphereGeometry(0.05, 8, 8);
+    const eyeMat = new THREE.MeshBasicMaterial({ color: 0xff1b2b, transparent: true, opacity: 1 });
+    const leftEye = new THREE.Mesh(eyeGeo, eyeMat);
+    const rightEye = new THREE.Mesh(eyeGeo, eyeMat);
+    leftEye.position.set(-0.08, 0, 0);
+    rightEye.position.set(0.08, 0, 0);
+    object.add(leftEye);
+    object.add(rightEye);
+    return {
+      object,
+      setOpacity(o) {
+        eyeMat.opacity = o;
+      }
+    };
+  },
+
+  spawn: {
+    // still the most common, but only a few times as likely as the rest
+    rate: (ctx) => 0.04 + ctx.boldness * 0.12,
+    when: () => true,
+    // off to one side, between the trees, a little past the beam
+    place: (ctx) => {
+      const side = Math.random() < 0.5 ? -1 : 1;
+      return pointAroundPlayer(ctx.camera, side * (Math.PI - 0.9 - Math.random() * 0.4), 14 + Math.random() * 8);
+    }
+  },
+
+  start(inst) {
+    setBehavior(inst, BEHAVIOR.LURKING);
+    inst.timer = 3 + Math.random() * 3;
+  },
+
+  update(inst, ctx) {
+    const { camera, world, dt, focus, boldness } = ctx;
+    const px = camera.position.x;
+    const pz = camera.position.z;
+    const dist = inst.distance;
+    const stalkDistance = ctx.flashlightRange + 2.5;
+
+    switch (inst.behavior) {
+      case BEHAVIOR.LURKING:
+        if (inst.watchedTime > 0.6 + boldness) {
+          setBehavior(inst, BEHAVIOR.RETREATING);
+        } else if (inst.timer <= 0) {
+          const stalks = Math.random() < 0.5 + boldness * 0.4;
+          setBehavior(inst, stalks ? BEHAVIOR.STALKING : BEHAVIOR.RETREATING);
+          if (stalks) inst.timer = 12 + Math.random() * 8;
+        }
+        break;
+
+      case BEHAVIOR.STALKING:
+        // hold a point on the line to the player, just beyond the beam
+        moveToward(inst, world, px + inst.awayX * stalkDistance, pz + inst.awayZ * stalkDistance, 2.2, dt);
+        if (ctx.stillTime > 2.5 - boldness) {
+          setBehavior(inst, BEHAVIOR.APPROACHING);
+        } else if (inst.watchedTime > 1.2 + boldness * 1.5 || dist > 34 || inst.timer <= 0) {
+          // stared down, outrun, or simply bored
+          setBehavior(inst, BEHAVIOR.RETREATING);
+        }
+        break;
+
+      case BEHAVIOR.APPROACHING: {
+        moveToward(inst, world, px, pz, 0.8 + boldness * 1.2, dt);
+        const rushDistance = (6 + boldness * 4) * ctx.detection;
+        if (inst.inSight && dist < rushDistance) {
+          setBehavior(inst, BEHAVIOR.RUSHING);
+          inst.whisper = ctx.say(this);
+        } else if (inst.watched && inst.watchedTime > 0.4) {
+          // caught creeping: a calm mind scares it off, a frayed one sets it off
+          setBehavior(inst, focus > 0.5 ? BEHAVIOR.RETREATING : BEHAVIOR.RUSHING);
+        } else if (ctx.movingTime > 0.8) {
+          setBehavior(inst, BEHAVIOR.STALKING);
+          inst.timer = 8 + Math.random() * 8;
+        }
+        break;
+      }
+
+      case BEHAVIOR.RUSHING:
+        // straight line, through anything
+        moveToward(inst, null, px, pz, 9, dt);
+        if (dist < 1.2 || inst.behaviorTime > 3) setBehavior(inst, BEHAVIOR.HIDDEN);
+        break;
+
+      case BEHAVIOR.RETREATING:
+        moveToward(inst, world, px + inst.awayX * (dist + 10), pz + inst.awayZ * (dist + 10), 2.8, dt);
+        inst.opacity = Math.max(0, 1 - inst.behaviorTime / 2.2);
+        if (inst.behaviorTime > 2.2) setBehavior(inst, BEHAVIOR.HIDDEN);
+        break;
+    }
+
+    // eyes hover at head height over the ground, with a faint sway
+    settleOnGround(inst, world, 1.55 + Math.sin(inst.behaviorTime * 1.7) * 0.04);
+  },
+
+  threat(inst) {
+    const floor = {
+      lurking: 0.12,
+      stalking: 0.2,
+      approaching: 0.35,
+      rushing: 0.9,
+      retreating: 0.05
+    }[inst.behavior] || 0;
+    return Math.max(distanceThreat(inst.distance, 16), floor);
+  }
+});
+
+// a tall figure standing between the trunks. it only moves while you look away
+registerArchetype({
+  id: 'silhouette',
+  cost: 1,
+  maxActive: 1,
+  // held in place while lit, which costs battery
+  onLit: BEAM_REACTION.FREEZE,
+  beamHeight: 1.4,
+  whispers: [
+    'it was closer a moment ago',
+    'don’t blink',
+    'he is taller than the trees',
+    'it stands where he stood'
+  ],
+
+  build() {
+    const object = new THREE.Group();
+    const mat = new THREE.MeshBasicMaterial({ color: 0x040406, transparent: true, opacity: 1 });
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(0.16, 0.26, 2.5, 6), mat);
+    body.position.y = 1.25;
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.19, 8, 6), mat);
+    head.position.y = 2.7;
+    head.scale.set(1, 1.25, 1);
+    object.add(body);
+    object.add(head);
+    return {
+      object,
+      setOpacity(o) {
+        mat.opacity = o;
+      }
+    };
+  },
+
+  spawn: {
+    rate: (ctx) => 0.012 + ctx.boldness * 0.03,
+    when: (ctx) => ctx.focus < 0.9,
+    // somewhere ahead, far enough that it reads as a trunk at first
+    place: (ctx) => {
+      const side = Math.random() < 0.5 ? -1 : 1;
+      return pointAroundPlayer(ctx.camera, side * (0.3 + Math.random() * 0.6), 18 + Math.random() * 8);
+    }
+  },
+
+  start(inst) {
+    setBehavior(inst, BEHAVIOR.LURKING);
+    inst.timer = 14 + Math.random() * 8;
+    inst.data.jumpTimer = 2 + Math.random() * 2;
+  },
+
+  update(inst, ctx) {
+    const { camera, world, dt, boldness } = ctx;
+
+    switch (inst.behavior) {
+      case BEHAVIOR.LURKING:
+      case BEHAVIOR.APPROACHING:
+        if (inst.watched && inst.distance < 5) {
+          // you turn around and it is right there
+          setBehavior(inst, BEHAVIOR.RUSHING);
+          inst.whisper = ctx.say(this);
+        } else if (inst.watchedTime > 2.5 || inst.timer <= 0) {
+          setBehavior(inst, BEHAVIOR.RETREATING);
+        } else if (!inst.watched) {
+          inst.data.jumpTimer -= dt;
+          if (inst.data.jumpTimer <= 0) {
+            // one silent step closer, all at once
+            const step = 2.5 + boldness * 2;
+            moveToward(inst, world, camera.position.x, camera.position.z, step / dt, dt, 0.3);
+            inst.data.jumpTimer = 2 + Math.random() * 2;
+            inst.behavior = BEHAVIOR.APPROACHING;
+          }
+        }
+        break;
+
+      case BEHAVIOR.RUSHING:
+        if (inst.behaviorTime > 0.6) setBehavior(inst, BEHAVIOR.HIDDEN);
+        break;
+
+      case BEHAVIOR.RETREATING:
+        inst.opacity = Math.max(0, 1 - inst.behaviorTime / 1.5);
+        if (inst.behaviorTime > 1.5) setBehavior(inst, BEHAVIOR.HIDDEN);
+        break;
+    }
+
+    settleOnGround(inst, world, -0.05);
+  },
+
+  threat(inst) {
+    const floor = inst.behavior === BEHAVIOR.RUSHING ? 0.85 : 0.1;
+    return Math.max(distanceThreat(inst.distance, 26, 1.5), floor);
+  }
+});
+
+// something low in the mist that scuttles after you while you walk
+// and goes still the moment you stop
+registerArchetype({
+  id: 'crawler',
+  cost: 1,
+  maxActive: 1,
+  // light it up and it comes for you
+  onLit: BEAM_REACTION.ENRAGE,
+  whispers: [
+    'down here',
+    'keep walking',
+    'it was in the grass the whole time'
+  ],
+
+  build() {
+    const object = new THREE.Group();
+    const bodyMat = new THREE.MeshBasicMaterial({ color: 0x0b0b0d, transparent: true, opacity: 1 });
+    const body = new THREE.Mesh(new THREE.SphereGeometry(0.5, 8, 6), bodyMat);
+    body.scale.set(0.7, 0.35, 1.3);
+    const eyeMat = new THREE.MeshBasicMaterial({ color: 0xd8dccb, transparent: true, opacity: 1 });
+    const eyeGeo = new THREE.SphereGeometry(0.025, 6, 6);
+    const leftEye = new THREE.Mesh(eyeGeo, eyeMat);
+    const rightEye = new THREE.Mesh(eyeGeo, eyeMat);
+    leftEye.position.set(-0.06, 0.08, 0.6);
+    rightEye.position.set(0.06, 0.08, 0.6);
+    object.add(body);
+    object.add(leftEye);
+    object.add(rightEye);
+    return {
+      object,
+      setOpacity(o) {
+        bodyMat.opacity = o;
+        eyeMat.opacity = o;
+      }
+    };
+  },
+
+  spawn: {
+    rate: (ctx) => 0.01 + ctx.boldness * 0.02,
+    when: (ctx) => ctx.moving,
+    place: (ctx) => pointAroundPlayer(ctx.camera, Math.PI + (Math.random() - 0.5), 12 + Math.random() * 4)
+  },
+
+  start(inst) {
+    setBehavior(inst, BEHAVIOR.STALKING);
+    inst.timer = 15 + Math.random() * 10;
+  },
+
+  update(inst, ctx) {
+    const { camera, world, dt, boldness } = ctx;
+    const px = camera.position.x;
+    const pz = camera.position.z;
+
+    switch (inst.behavior) {
+      case BEHAVIOR.STALKING:
+      case BEHAVIOR.LURKING:
+        if (inst.watchedTime > 0.8 || inst.timer <= 0) {
+          setBehavior(inst, BEHAVIOR.RETREATING);
+        } else if (inst.distance < 3.5 * ctx.detection && !inst.watched) {
+          setBehavior(inst, BEHAVIOR.RUSHING);
+          inst.whisper = ctx.say(this);
+        } else if (ctx.stillTime > 0.3) {
+          // freezes the moment you stop
+          inst.behavior = BEHAVIOR.LURKING;
+        } else {
+          inst.behavior = BEHAVIOR.STALKING;
+          moveToward(inst, world, px + inst.awayX * 5, pz + inst.awayZ * 5, 2 + boldness * 1.4, dt, 0.4);
+        }
+        break;
+
+      case BEHAVIOR.RUSHING:
+        moveToward(inst, null, px, pz, 7, dt);
+        if (inst.distance < 1 || inst.behaviorTime > 1.5) setBehavior(inst, BEHAVIOR.HIDDEN);
+        break;
+
+      case BEHAVIOR.RETREATING:
+        moveToward(inst, world, px + inst.awayX * (inst.distance + 10), pz + inst.awayZ * (inst.distance + 10), 4, dt, 0.4);
+        inst.opacity = Math.max(0, 1 - inst.behaviorTime / 1.2);
+        if (inst.behaviorTime > 1.2) setBehavior(inst, BEHAVIOR.HIDDEN);
+        break;
+    }
+
+    settleOnGround(inst, world, 0.22);
+  },
+
+  threat(inst) {
+    const floor = inst.behavior === BEHAVIOR.RUSHING ? 0.95 : 0.08;
+    return Math.max(distanceThreat(inst.distance, 12, 2), floor);
+  }
+});
+
+// walks behind you, in step with you, a beat late. gone if you turn around
+registerArchetype({
+  id: 'mimic',
+  cost: 1,
+  maxActive: 1,
+  // invisible unless the beam catches it, and it won't stay caught
+  onLit: BEAM_REACTION.FLEE,
+  revealedByBeam: true,
+  beamHeight: 0.9,
+  whispers: [
+    'who is walking behind you',
+    'your steps are not your own',
+    'stop. listen.'
+  ],
+
+  build() {
+    const object = new THREE.Group();
+    const mat = new THREE.MeshBasicMaterial({ color: 0x30323a, transparent: true, opacity: 0.22 });
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(0.14, 0.2, 1.6, 6), mat);
+    body.position.y = 0.8;
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.15, 8, 6), mat);
+    head.position.y = 1.75;
+    object.add(body);
+    object.add(head);
+    return {
+      object,
+      // never more than a faint smudge
+      setOpacity(o) {
+        mat.opacity = o * 0.22;
+      }
+    };
+  },
+
+  spawn: {
+    rate: (ctx) => 0.008 + ctx.boldness * 0.015,
+    when: (ctx) => ctx.moving && ctx.focus < 0.8,
+    place: (ctx) => pointAroundPlayer(ctx.camera, Math.PI + (Math.random() - 0.5) * 0.4, 7 + Math.random() * 2)
+  },
+
+  start(inst) {
+    setBehavior(inst, BEHAVIOR.STALKING);
+    inst.timer = 20 + Math.random() * 10;
+    // how far behind the player's rhythm its steps fall
+    inst.data.lag = 0.25 + Math.random() * 0.2;
+  },
+
+  update(inst, ctx) {
+    const { camera, world, dt } = ctx;
+    const px = camera.position.x;
+    const pz = camera.position.z;
+    const lag = inst.data.lag;
+
+    // steps start a beat after yours and stop a beat after you do
+    const stepping = ctx.movingTime > lag || (ctx.stillTime > 0 && ctx.stillTime < lag && inst.echoSteps);
+    inst.echoSteps = false;
+
+    switch (inst.behavior) {
+      case BEHAVIOR.STALKING:
+      case BEHAVIOR.APPROACHING:
+        if (inst.watched) {
+          setBehavior(inst, BEHAVIOR.RETREATING);
+        } else if (inst.timer <= 0) {
+          setBehavior(inst, BEHAVIOR.HIDDEN);
+        } else if (stepping) {
+          inst.behavior = BEHAVIOR.STALKING;
+          inst.echoSteps = true;
+          moveToward(inst, world, px + inst.awayX * 7, pz + inst.awayZ * 7, 2.4, dt);
+        } else if (ctx.stillTime > 4) {
+          // you stopped too long; it keeps walking
+          inst.behavior = BEHAVIOR.APPROACHING;
+          inst.echoSteps = true;
+          moveToward(inst, world, px, pz, 0.5, dt);
+        }
+        break;
+
+      case BEHAVIOR.RETREATING:
+        inst.opacity = Math.max(0, 1 - inst.behaviorTime / 0.4);
+        if (inst.behaviorTime > 0.4) setBehavior(inst, BEHAVIOR.HIDDEN);
+        break;
+    }
+
+    settleOnGround(inst, world, 0);
+  },
+
+  threat(inst) {
+    if (inst.behavior === BEHAVIOR.RETREATING) return 0.05;
+    return Math.max(distanceThreat(inst.distance, 10) * 0.6, 0.12);
+  }
+});
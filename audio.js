@@ -1,3 +1,13 @@
+// positional sources share these falloff settings: close things are loud,
+// and nothing is heard past the fog
+const PANNER_DEFAULTS = {
+  panningModel: 'HRTF',
+  distanceModel: 'inverse',
+  refDistance: 2,
+  maxDistance: 80,
+  rolloffFactor: 1.1
+};
+
 export function createAudioSystem() {
   const ctx = new (window.AudioContext || window.webkitAudioContext || AudioContext)();
   let started = false;
@@ -30,6 +40,16 @@ export function createAudioSystem() {
   hissFilter.connect(hissGain);
   hissGain.connect(master);
 
+  // everything that has a place in the forest goes through this bus
+  const spatialBus = ctx.createGain();
+  spatialBus.gain.value = 0.9;
+  spatialBus.connect(master);
+
+  const noiseBuffer = createNoiseBuffer(ctx, 1);
+  const voices = new Map(); // creature id -> looping positioned voice
+  const timers = { twig: 4 + Math.random() * 6, owl: 15 + Math.random() * 20, creak: 8 + Math.random() * 10 };
+  const landmarkTimers = new Map(); // landmark id -> seconds to its next sound
+
   function ensureStarted() {
     if (started || ctx.state === 'running') return;
     ctx.resume();
@@ -38,36 +58,619 @@ export function createAudioSystem() {
 
   window.addEventListener('pointerdown', ensureStarted, { once: true });
 
-  function update(threat, focus) {
+  function createPanner(x, y, z) {
+    const panner = ctx.createPanner();
+    Object.assign(panner, PANNER_DEFAULTS);
+    setPannerPosition(panner, x, y, z);
+    panner.connect(spatialBus);
+    return panner;
+  }
+
+  // the ears ride on the camera
+  function updateListener(camera) {
+    const { listener } = ctx;
+    const e = camera.matrixWorld.elements;
+    const t = ctx.currentTime;
+    const p = camera.position;
+    if (listener.positionX) {
+      listener.positionX.setTargetAtTime(p.x, t, 0.02);
+      listener.positionY.setTargetAtTime(p.y, t, 0.02);
+      listener.positionZ.setTargetAtTime(p.z, t, 0.02);
+      listener.forwardX.setTargetAtTime(-e[8], t, 0.02);
+      listener.forwardY.setTargetAtTime(-e[9], t, 0.02);
+      listener.forwardZ.setTargetAtTime(-e[10], t, 0.02);
+      listener.upX.setTargetAtTime(e[4], t, 0.02);
+      listener.upY.setTargetAtTime(e[5], t, 0.02);
+      listener.upZ.setTargetAtTime(e[6], t, 0.02);
+    } else {
+      listener.setPosition(p.x, p.y, p.z);
+      listener.setOrientation(-e[8], -e[9], -e[10], e[4], e[5], e[6]);
+    }
+  }
+
+  // each creature breathes from where it stands: a low filtered rasp that
+  // swells with its threat and tears open when it rushes
+  function createVoice(x, y, z) {
+    const panner = createPanner(x, y, z);
+    const source = ctx.createBufferSource();
+    source.buffer = noiseBuffer;
+    source.loop = true;
+    source.playbackRate.value = 0.6 + Math.random() * 0.3;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 320;
+    filter.Q.value = 2.5;
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    // slow breathing: an LFO on the gain
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = 0.25 + Math.random() * 0.15;
+    const lfoDepth = ctx.createGain();
+    lfoDepth.gain.value = 0;
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(gain.gain);
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(panner);
+    source.start();
+    lfo.start();
+    return { panner, source, filter, gain, lfo, lfoDepth };
+  }
+
+  function releaseVoice(voice) {
+    const t = ctx.currentTime;
+    voice.gain.gain.cancelScheduledValues(t);
+    voice.gain.gain.setTargetAtTime(0, t, 0.2);
+    voice.lfoDepth.gain.setTargetAtTime(0, t, 0.2);
+    voice.source.stop(t + 1.2);
+    voice.lfo.stop(t + 1.2);
+    voice.source.onended = () => voice.panner.disconnect();
+  }
+
+  function updateVoices(creatures) {
+    const t = ctx.currentTime;
+    const seen = new Set();
+    for (const c of creatures) {
+      const pos = c.object.position;
+      let voice = voices.get(c.id);
+      if (!voice) {
+        voice = createVoice(pos.x, pos.y, pos.z);
+        voices.set(c.id, voice);
+      }
+      seen.add(c.id);
+      const rushing = c.behavior === 'rushing';
+      setPannerPosition(voice.panner, pos.x, pos.y + 1, pos.z, t);
+      const level = 0.04 + c.threat * 0.35 + (rushing ? 0.3 : 0);
+      voice.gain.gain.setTargetAtTime(level, t, rushing ? 0.05 : 0.3);
+      voice.lfoDepth.gain.setTargetAtTime(rushing ? 0 : level * 0.8, t, 0.3);
+      voice.filter.frequency.setTargetAtTime(rushing ? 1400 : 260 + c.threat * 300, t, 0.15);
+    }
+    for (const [id, voice] of voices) {
+      if (seen.has(id)) continue;
+      releaseVoice(voice);
+      voices.delete(id);
+    }
+  }
+
+  // fire-and-forget sound at a point; build(dest, t) wires it up and returns its length
+  function playAt(x, y, z, build) {
+    const panner = createPanner(x, y, z);
+    const t = ctx.currentTime + 0.01;
+    const length = build(panner, t);
+    setTimeout(() => panner.disconnect(), (length + 0.5) * 1000);
+  }
+
+  // a dry stick breaking somewhere off the path
+  function twigSnap(x, y, z, loudness) {
+    playAt(x, y, z, (dest, t) => {
+      const cracks = 1 + Math.floor(Math.random() * 3);
+      for (let i = 0; i < cracks; i++) {
+        const at = t + i * (0.04 + Math.random() * 0.07);
+        const src = ctx.createBufferSource();
+        src.buffer = noiseBuffer;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = 1800 + Math.random() * 1500;
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(loudness * (i === 0 ? 1 : 0.5), at);
+        gain.gain.exponentialRampToValueAtTime(0.001, at + 0.06);
+        src.connect(filter);
+        filter.connect(gain);
+        gain.connect(dest);
+        src.start(at, Math.random() * 0.8, 0.08);
+      }
+      return 0.4;
+    });
+  }
+
+  // two soft hoots, the second a little lower
+  function owlCall(x, y, z) {
+    playAt(x, y, z, (dest, t) => {
+      const base = 380 + Math.random() * 60;
+      [0, 0.55].forEach((offset, i) => {
+        const at = t + offset;
+        const osc = ctx.createOscillator();
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(base * (i ? 0.92 : 1), at);
+        osc.frequency.linearRampToValueAtTime(base * (i ? 0.85 : 0.94), at + 0.4);
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, at);
+        gain.gain.linearRampToValueAtTime(0.5, at + 0.06);
+        gain.gain.exponentialRampToValueAtTime(0.001, at + 0.45);
+        osc.connect(gain);
+        gain.connect(dest);
+        osc.start(at);
+        osc.stop(at + 0.5);
+      });
+      return 1.1;
+    });
+  }
+
+  // a trunk groaning as it sways: a slow, wavering sawtooth through a narrow band
+  function treeCreak(x, y, z, strain) {
+    playAt(x, y, z, (dest, t) => {
+      const length = 0.8 + Math.random() * 1.2;
+      const osc = ctx.createOscillator();
+      osc.type = 'sawtooth';
+      const pitch = 55 + Math.random() * 45;
+      osc.frequency.setValueAtTime(pitch, t);
+      osc.frequency.linearRampToValueAtTime(pitch * (0.8 + Math.random() * 0.5), t + length);
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'bandpass';
+      filter.frequency.value = 500 + Math.random() * 400;
+      filter.Q.value = 6;
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, t);
+      gain.gain.linearRampToValueAtTime(0.25 + strain * 0.3, t + length * 0.3);
+      gain.gain.linearRampToValueAtTime(0, t + length);
+      osc.connect(filter);
+      filter.connect(gain);
+      gain.connect(dest);
+      osc.start(t);
+      osc.stop(t + length);
+      return length;
+    });
+  }
+
+  // wind finding the gaps in a cabin's boards, and now and then its door
+  function cabinDraft(x, y, z) {
+    if (Math.random() < 0.35) {
+      treeCreak(x, y - 0.6, z, 0.6);
+      return;
+    }
+    playAt(x, y, z, (dest, t) => {
+      const length = 2.5 + Math.random() * 2;
+      const src = ctx.createBufferSource();
+      src.buffer = noiseBuffer;
+      src.loop = true;
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'bandpass';
+      filter.Q.value = 9;
+      const from = 300 + Math.random() * 200;
+      filter.frequency.setValueAtTime(from, t);
+      filter.frequency.linearRampToValueAtTime(from * (1.6 + Math.random() * 0.6), t + length * 0.6);
+      filter.frequency.linearRampToValueAtTime(from, t + length);
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, t);
+      gain.gain.linearRampToValueAtTime(0.22, t + length * 0.4);
+      gain.gain.linearRampToValueAtTime(0, t + length);
+      src.connect(filter);
+      filter.connect(gain);
+      gain.connect(dest);
+      src.start(t);
+      src.stop(t + length);
+      return length;
+    });
+  }
+
+  // one drop, a long way down, and the well answering it
+  function wellDrip(x, y, z) {
+    playAt(x, y, z, (dest, t) => {
+      const osc = ctx.createOscillator();
+      osc.type = 'sine';
+      const pitch = 900 + Math.random() * 500;
+      osc.frequency.setValueAtTime(pitch, t);
+      osc.frequency.exponentialRampToValueAtTime(pitch * 0.45, t + 0.06);
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0.3, t);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + 0.09);
+      // the shaft: a fading echo, duller each time round
+      const echo = ctx.createDelay(1);
+      echo.delayTime.value = 0.19 + Math.random() * 0.06;
+      const feedback = ctx.createGain();
+      feedback.gain.value = 0.5;
+      const dull = ctx.createBiquadFilter();
+      dull.type = 'lowpass';
+      dull.frequency.value = 1200;
+      osc.connect(gain);
+      gain.connect(dest);
+      gain.connect(echo);
+      echo.connect(dull);
+      dull.connect(feedback);
+      feedback.connect(echo);
+      dull.connect(dest);
+      osc.start(t);
+      osc.stop(t + 0.1);
+      setTimeout(() => feedback.disconnect(), 2500);
+      return 2.5;
+    });
+  }
+
+  // the stones hum, low and not quite in tune with each other
+  function stoneHum(x, y, z) {
+    playAt(x, y, z, (dest, t) => {
+      const length = 4 + Math.random() * 3;
+      const root = 70 + Math.random() * 30;
+      [1, 1.5, 2.02].forEach((ratio, i) => {
+        const osc = ctx.createOscillator();
+        osc.type = 'sine';
+        osc.frequency.value = root * ratio;
+        osc.detune.setValueAtTime(0, t);
+        osc.detune.linearRampToValueAtTime((Math.random() - 0.5) * 40, t + length);
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, t);
+        gain.gain.linearRampToValueAtTime(0.09 / (i + 1), t + length * 0.5);
+        gain.gain.linearRampToValueAtTime(0, t + length);
+        osc.connect(gain);
+        gain.connect(dest);
+        osc.start(t);
+        osc.stop(t + length);
+      });
+      return length;
+    });
+  }
+
+  // a rusty link squeaking as the swing turns back
+  function swingChain(x, y, z) {
+    playAt(x, y, z, (dest, t) => {
+      const length = 0.22 + Math.random() * 0.1;
+      const osc = ctx.createOscillator();
+      osc.type = 'triangle';
+      const pitch = 950 + Math.random() * 250;
+      osc.frequency.setValueAtTime(pitch, t);
+      osc.frequency.linearRampToValueAtTime(pitch * 1.25, t + length * 0.4);
+      osc.frequency.linearRampToValueAtTime(pitch * 0.9, t + length);
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'bandpass';
+      filter.frequency.value = pitch * 1.2;
+      filter.Q.value = 4;
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, t);
+      gain.gain.linearRampToValueAtTime(0.12, t + 0.03);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + length);
+      osc.connect(filter);
+      filter.connect(gain);
+      gain.connect(dest);
+      osc.start(t);
+      osc.stop(t + length);
+      return length;
+    });
+  }
+
+  const LANDMARK_SOUNDS = { draft: cabinDraft, drip: wellDrip, hum: stoneHum, chain: swingChain };
+
+  // landmark: { id, sound: { name, every: [min, max], x, y, z } }, see landmarks.js
+  function updateLandmarkSounds(dt, landmarks, camera) {
+    const p = camera.position;
+    const seen = new Set();
+    for (const landmark of landmarks) {
+      const sound = landmark.sound;
+      if (!sound) continue;
+      seen.add(landmark.id);
+      const [min, max] = sound.every;
+      let timer = landmarkTimers.get(landmark.id) ?? min + Math.random() * (max - min);
+      timer -= dt;
+      if (timer <= 0) {
+        timer = min + Math.random() * (max - min);
+        // past the fog there is nothing to hear
+        if (Math.hypot(sound.x - p.x, sound.z - p.z) < PANNER_DEFAULTS.maxDistance * 0.6) {
+          LANDMARK_SOUNDS[sound.name](sound.x, sound.y, sound.z);
+        }
+      }
+      landmarkTimers.set(landmark.id, timer);
+    }
+    for (const id of landmarkTimers.keys()) {
+      if (!seen.has(id)) landmarkTimers.delete(id);
+    }
+  }
+
+  // one footfall: a soft thud of grass underfoot, sometimes with dry leaves
+  // crunching over it. sprinting lands harder and lower.
+  function buildStep(dest, t, heavy, loudness) {
+    const thud = ctx.createBufferSource();
+    thud.buffer = noiseBuffer;
+    const thudFilter = ctx.createBiquadFilter();
+    thudFilter.type = 'lowpass';
+    thudFilter.frequency.value = (heavy ? 380 : 560) + Math.random() * 200;
+    const thudGain = ctx.createGain();
+    const thudLength = heavy ? 0.1 : 0.14;
+    thudGain.gain.setValueAtTime(0, t);
+    thudGain.gain.linearRampToValueAtTime(loudness * (heavy ? 1.4 : 0.9), t + 0.012);
+    thudGain.gain.exponentialRampToValueAtTime(0.001, t + thudLength);
+    thud.connect(thudFilter);
+    thudFilter.connect(thudGain);
+    thudGain.connect(dest);
+    thud.start(t, Math.random() * 0.8, thudLength + 0.02);
+
+    // leaves: a few short crackles a little after the heel lands
+    const crunch = Math.random();
+    if (crunch > 0.35) {
+      const grains = 2 + Math.floor(Math.random() * (heavy ? 5 : 3));
+      for (let i = 0; i < grains; i++) {
+        const at = t + 0.015 + Math.random() * 0.09;
+        const src = ctx.createBufferSource();
+        src.buffer = noiseBuffer;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 2000 + Math.random() * 2500;
+        filter.Q.value = 1.5;
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(loudness * crunch * 0.5, at);
+        gain.gain.exponentialRampToValueAtTime(0.001, at + 0.025);
+        src.connect(filter);
+        filter.connect(gain);
+        gain.connect(dest);
+        src.start(at, Math.random() * 0.9, 0.03);
+      }
+    }
+    return 0.25;
+  }
+
+  // the player's own steps and breath sit in the head, not in the world
+  const bodyBus = ctx.createGain();
+  bodyBus.gain.value = 0.35;
+  bodyBus.connect(master);
+
+  function footstep(sprinting = false, intensity = 1) {
+    if (ctx.state !== 'running') return;
+    buildStep(bodyBus, ctx.currentTime + 0.005, sprinting, 0.5 + intensity * 0.5);
+  }
+
+  // someone else's step, out where they stand. `drift` is how far it falls
+  // behind the player's own footfall, in seconds
+  function echoStep(x, y, z, sprinting = false, drift = 0.12) {
+    if (ctx.state !== 'running') return;
+    playAt(x, y, z, (dest, t) => buildStep(dest, t + drift, sprinting, 0.8) + drift);
+  }
+
+  // a murmur that follows the shape of the words without saying them:
+  // breath noise through two formant bands per vowel, one swell per syllable
+  function whisper(text, x, y, z, focus = 1) {
+    if (ctx.state !== 'running' || !text) return;
+    const syllables = syllabify(text);
+    if (!syllables.length) return;
+    const loudness = 0.25 + (1 - focus) * 0.75;
+
+    playAt(x, y, z, (dest, t) => {
+      const src = ctx.createBufferSource();
+      src.buffer = noiseBuffer;
+      src.loop = true;
+      const f1 = ctx.createBiquadFilter();
+      const f2 = ctx.createBiquadFilter();
+      const hiss = ctx.createBiquadFilter();
+      f1.type = f2.type = 'bandpass';
+      f1.Q.value = 9;
+      f2.Q.value = 12;
+      hiss.type = 'highpass';
+      hiss.frequency.value = 4000;
+      const vowelGain = ctx.createGain();
+      const hissGain = ctx.createGain();
+      vowelGain.gain.value = 0;
+      hissGain.gain.value = 0;
+      src.connect(f1);
+      src.connect(f2);
+      src.connect(hiss);
+      f1.connect(vowelGain);
+      f2.connect(vowelGain);
+      hiss.connect(hissGain);
+      vowelGain.connect(dest);
+      hissGain.connect(dest);
+
+      let at = t;
+      for (const syl of syllables) {
+        if (syl.pause) {
+          at += syl.pause;
+          continue;
+        }
+        const [formant1, formant2] = VOWEL_FORMANTS[syl.vowel] || VOWEL_FORMANTS.a;
+        const length = 0.11 + syl.weight * 0.04 + Math.random() * 0.04;
+        // sibilants hiss in before the vowel opens
+        if (syl.sibilant) {
+          hissGain.gain.setValueAtTime(0, at);
+          hissGain.gain.linearRampToValueAtTime(loudness * 0.5, at + 0.03);
+          hissGain.gain.linearRampToValueAtTime(0, at + 0.07);
+          at += 0.05;
+        }
+        f1.frequency.setTargetAtTime(formant1, at, 0.02);
+        f2.frequency.setTargetAtTime(formant2, at, 0.02);
+        vowelGain.gain.setValueAtTime(0, at);
+        vowelGain.gain.linearRampToValueAtTime(loudness * 2.2, at + length * 0.3);
+        vowelGain.gain.linearRampToValueAtTime(0, at + length);
+        at += length + 0.015;
+      }
+
+      src.start(t, Math.random() * 0.5);
+      src.stop(at + 0.1);
+      return at - t + 0.1;
+    });
+  }
+
+  // ragged breathing when winded: filtered noise swelling in and out,
+  // faster and rougher the harder he breathes
+  let breathClock = 0;
+  function updateBreath(dt, heaviness) {
+    if (heaviness < 0.05 || ctx.state !== 'running') {
+      breathClock = 0;
+      return;
+    }
+    const cycle = 1.6 - heaviness * 0.85; // seconds per in + out
+    breathClock -= dt;
+    if (breathClock > 0) return;
+    breathClock = cycle * (0.9 + Math.random() * 0.2);
+    const t = ctx.currentTime + 0.01;
+    breathSwell(t, cycle * 0.4, 1100 + Math.random() * 200, heaviness * 0.35);
+    breathSwell(t + cycle * 0.45, cycle * 0.5, 700 + Math.random() * 150, heaviness * 0.5);
+  }
+
+  function breathSwell(t, length, freq, level) {
+    const src = ctx.createBufferSource();
+    src.buffer = noiseBuffer;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = freq;
+    filter.Q.value = 1.2;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, t);
+    gain.gain.linearRampToValueAtTime(level, t + length * 0.35);
+    gain.gain.linearRampToValueAtTime(0, t + length);
+    src.connect(filter);
+    filter.connect(gain);
+    gain.connect(bodyBus);
+    src.start(t, Math.random() * 0.15, length + 0.05);
+  }
+
+  // the breath let out after holding it; `strength` is how long it was held (0..1)
+  function exhale(strength = 0.5) {
+    if (ctx.state !== 'running') return;
+    const t = ctx.currentTime + 0.01;
+    breathSwell(t, 0.5 + strength * 0.5, 650, 0.2 + strength * 0.5);
+    // the air goes straight back in
+    breathClock = 0.6;
+  }
+
+  function updateAmbience(dt, threat, focus, camera, trees) {
+    const p = camera.position;
+
+    // twigs break more often when something is close
+    timers.twig -= dt * (1 + threat * 4);
+    if (timers.twig <= 0) {
+      timers.twig = 6 + Math.random() * 12;
+      const spot = randomAround(p, 10, 28);
+      twigSnap(spot.x, p.y - 1.4, spot.z, 0.3 + threat * 0.5);
+    }
+
+    // owls go quiet when the forest holds its breath
+    timers.owl -= dt * (threat > 0.5 ? 0 : 1);
+    if (timers.owl <= 0) {
+      timers.owl = 25 + Math.random() * 40;
+      const spot = randomAround(p, 35, 60);
+      owlCall(spot.x, p.y + 6, spot.z);
+    }
+
+    timers.creak -= dt * (1 + (1 - focus) * 1.5);
+    if (timers.creak <= 0) {
+      timers.creak = 10 + Math.random() * 15;
+      if (trees && trees.length) {
+        const tree = trees[Math.floor(Math.random() * trees.length)];
+        treeCreak(tree.x, tree.baseY + 4, tree.z, 1 - focus);
+      }
+    }
+  }
+
+  // scene: { camera, creatures, trees, landmarks, distortion, darkness, breath } -
+  // creatures are live entity instances (id, object, threat, behavior), trees are world
+  // tree records near the player, landmarks the loaded ones, distortion / darkness come
+  // from a breakdown, breath from stamina
+  function update(threat, focus, behavior, scene = {}, dt = 1 / 60) {
     ensureStarted();
+    if (scene.camera) {
+      updateListener(scene.camera);
+      updateVoices(scene.creatures || []);
+      updateAmbience(dt, threat, focus, scene.camera, scene.trees);
+      updateLandmarkSounds(dt, scene.landmarks || [], scene.camera);
+    }
+    updateBreath(dt, scene.breath || 0);
+
+    const rushing = behavior === 'rushing';
     const baseRumble = 0.15;
-    const rumble = baseRumble + threat * 0.5 + (1 - focus) * 0.25;
+    const distortion = scene.distortion || 0;
+    const rumble = baseRumble + threat * 0.5 + (1 - focus) * 0.25 + distortion * 0.5;
     lowGain.gain.linearRampToValueAtTime(rumble, ctx.currentTime + 0.15);
+    // a blackout swallows nearly everything
+    master.gain.linearRampToValueAtTime(0.6 * (1 - (scene.darkness || 0) * 0.85), ctx.currentTime + 0.1);
 
+    // the hiss tightens while something follows and shrieks when it rushes
     const hissBase = 0.02;
-    const hiss = hissBase + threat * 0.3;
-    hissGain.gain.linearRampToValueAtTime(hiss, ctx.currentTime + 0.1);
+    const hiss = hissBase + threat * 0.3 + (rushing ? 0.25 : 0);
+    hissGain.gain.linearRampToValueAtTime(hiss, ctx.currentTime + (rushing ? 0.03 : 0.1));
+    const hissFreq = rushing ? 2200 : behavior === 'stalking' || behavior === 'approaching' ? 650 : 900;
+    hissFilter.frequency.linearRampToValueAtTime(hissFreq, ctx.currentTime + 0.2);
 
     const baseFreq = 36;
-    const freqJitter = threat * 12 + (1 - focus) * 6;
+    const freqJitter = threat * 12 + (1 - focus) * 6 - distortion * 14;
     const targetFreq = baseFreq + freqJitter;
     lowRumble.frequency.linearRampToValueAtTime(targetFreq, ctx.currentTime + 0.2);
   }
 
-  return { update };
+  return { update, footstep, echoStep, whisper, exhale };
 }
 
-function createNoise(ctx) {
-  const bufferSize = 2 * ctx.sampleRate;
+// rough first and second formants (Hz) for the vowel letters
+const VOWEL_FORMANTS = {
+  a: [730, 1090],
+  e: [530, 1840],
+  i: [300, 2300],
+  o: [570, 840],
+  u: [320, 900],
+  y: [300, 2000]
+};
+
+// break a line into syllables: each vowel run is one, punctuation and spaces are pauses
+function syllabify(text) {
+  const out = [];
+  const words = text.toLowerCase().split(/\s+/);
+  for (const word of words) {
+    const groups = word.match(/[^aeiouy]*[aeiouy]+/g);
+    if (!groups) continue;
+    for (const group of groups) {
+      const vowels = group.match(/[aeiouy]+$/)[0];
+      out.push({
+        vowel: vowels[0],
+        weight: vowels.length,
+        sibilant: /s|z|c|x|f|h/.test(group.slice(0, -vowels.length))
+      });
+    }
+    out.push({ pause: /[.,!?]$/.test(word) ? 0.3 : 0.07 });
+  }
+  return out;
+}
+
+function createNoiseBuffer(ctx, seconds) {
+  const bufferSize = Math.floor(seconds * ctx.sampleRate);
   const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
   const data = buffer.getChannelData(0);
   for (let i = 0; i < bufferSize; i++) {
     data[i] = (Math.random() * 2 - 1) * 0.5;
   }
+  return buffer;
+}
+
+function createNoise(ctx) {
   const node = ctx.createBufferSource();
-  node.buffer = buffer;
+  node.buffer = createNoiseBuffer(ctx, 2);
   node.loop = true;
   node.start();
   return node;
 }
 
+// with a time the move is smoothed from where it was; without, it jumps there
+function setPannerPosition(panner, x, y, z, time) {
+  if (panner.positionX && time === undefined) {
+    panner.positionX.value = x;
+    panner.positionY.value = y;
+    panner.positionZ.value = z;
+  } else if (panner.positionX) {
+    panner.positionX.setTargetAtTime(x, time, 0.03);
+    panner.positionY.setTargetAtTime(y, time, 0.03);
+    panner.positionZ.setTargetAtTime(z, time, 0.03);
+  } else {
+    panner.setPosition(x, y, z);
+  }
+}
+
+function randomAround(center, minRadius, maxRadius) {
+  const angle = Math.random() * Math.PI * 2;
+  const r = minRadius + Math.random() * (maxRadius - minRadius);
+  return { x: center.x + Math.cos(angle) * r, z: center.z + Math.sin(angle) * r };
+}
+
@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+
+// what happens when Jafet's focus runs out: the world smears and tilts,
+// something comes for him, everything goes black, and he wakes up
+// somewhere else in the forest with less behind him than before.
+
+export const BREAKDOWN_PHASE = {
+  NONE: 'none',
+  DISTORT: 'distort',   // vision warps, the ground won't hold still
+  CLOSING: 'closing',   // it is coming, and he can't move
+  BLACKOUT: 'blackout', // nothing
+  WAKING: 'waking'      // eyes opening somewhere new
+};
+
+// seconds per phase, in order
+const PHASES = [
+  [BREAKDOWN_PHASE.DISTORT, 2.5],
+  [BREAKDOWN_PHASE.CLOSING, 2.2],
+  [BREAKDOWN_PHASE.BLACKOUT, 2.8],
+  [BREAKDOWN_PHASE.WAKING, 2.4]
+];
+
+export function createBreakdown() {
+  return {
+    phase: BREAKDOWN_PHASE.NONE,
+    index: -1,
+    time: 0,
+    distortion: 0, // 0..1 how far gone the picture is
+    darkness: 0,   // 0..1 blackout
+    count: 0       // breakdowns so far
+  };
+}
+
+export function isBreakingDown(breakdown) {
+  return breakdown.phase !== BREAKDOWN_PHASE.NONE;
+}
+
+export function triggerBreakdown(breakdown) {
+  if (isBreakingDown(breakdown)) return false;
+  breakdown.index = 0;
+  breakdown.phase = PHASES[0][0];
+  breakdown.time = 0;
+  breakdown.count++;
+  return true;
+}
+
+// advances the sequence; returns the phase just entered, or null
+export function updateBreakdown(breakdown, dt) {
+  if (!isBreakingDown(breakdown)) {
+    breakdown.distortion = Math.max(0, breakdown.distortion - dt);
+    breakdown.darkness = Math.max(0, breakdown.darkness - dt);
+    return null;
+  }
+
+  breakdown.time += dt;
+  let entered = null;
+  const duration = PHASES[breakdown.index][1];
+  if (breakdown.time >= duration) {
+    breakdown.index++;
+    breakdown.time = 0;
+    breakdown.phase = breakdown.index < PHASES.length ? PHASES[breakdown.index][0] : BREAKDOWN_PHASE.NONE;
+    entered = breakdown.phase;
+  }
+
+  const t = breakdown.index < PHASES.length ? breakdown.time / PHASES[breakdown.index][1] : 1;
+  switch (breakdown.phase) {
+    case BREAKDOWN_PHASE.DISTORT:
+      breakdown.distortion = t * 0.7;
+      breakdown.darkness = t * 0.2;
+      break;
+    case BREAKDOWN_PHASE.CLOSING:
+      breakdown.distortion = 0.7 + t * 0.3;
+      breakdown.darkness = 0.2 + THREE.MathUtils.smoothstep(t, 0.5, 1) * 0.8;
+      break;
+    case BREAKDOWN_PHASE.BLACKOUT:
+      breakdown.distortion = 0;
+      breakdown.darkness = 1;
+      break;
+    case BREAKDOWN_PHASE.WAKING:
+      // a couple of slow blinks before the eyes stay open
+      breakdown.distortion = (1 - t) * 0.3;
+      breakdown.darkness = (1 - t) * (0.6 + 0.4 * Math.abs(Math.cos(t * Math.PI * 2)));
+      break;
+    default:
+      break;
+  }
+  return entered;
+}
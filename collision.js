@@ -0,0 +1,100 @@
+import { createSpatialHash } from './spatial-hash.js';
+
+// lightweight player-vs-world collision on the ground plane.
+// every obstacle is an upright cylinder: a circle (x, z, radius) plus an
+// optional top height for low props the player can step over.
+// the player is a circle; overlaps are pushed out along the contact normal,
+// which keeps the sideways part of the move, so you slide around trunks.
+
+const STEP_HEIGHT = 0.35; // props lower than this above the feet don't block
+const MAX_ITERATIONS = 3;
+
+export function createCollisionSystem(cellSize = 2) {
+  const hash = createSpatialHash(cellSize);
+  let maxRadius = 0;
+
+  // collider: { x, z, radius, top?, kind? }
+  function add(collider) {
+    hash.insert(collider);
+    if (collider.radius > maxRadius) maxRadius = collider.radius;
+    return collider;
+  }
+
+  function remove(collider) {
+    hash.remove(collider);
+  }
+
+  function blocks(collider, feetY) {
+    return collider.top === undefined || collider.top > feetY + STEP_HEIGHT;
+  }
+
+  // move a circle of `radius` by (dx, dz); returns where it actually ends up
+  function resolve(x, z, dx, dz, radius, feetY = -Infinity) {
+    let nx = x + dx;
+    let nz = z + dz;
+    let hit = false;
+
+    for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+      let pushed = false;
+      hash.forEachNear(nx, nz, radius + maxRadius, (c) => {
+        if (!blocks(c, feetY)) return false;
+        // measured from the current position: earlier pushes this pass already moved it
+        const ex = nx - c.x;
+        const ez = nz - c.z;
+        const minDist = radius + c.radius;
+        const d2 = ex * ex + ez * ez;
+        if (d2 >= minDist * minDist) return false;
+        const dist = Math.sqrt(d2);
+        // dead centre has no normal; any direction out will do
+        const ox = dist > 1e-6 ? ex / dist : 1;
+        const oz = dist > 1e-6 ? ez / dist : 0;
+        const depth = minDist - dist;
+        nx += ox * depth;
+        nz += oz * depth;
+        pushed = true;
+        return false;
+      });
+      if (!pushed) break;
+      hit = true;
+    }
+
+    return { x: nx, z: nz, hit };
+  }
+
+  // true if any blocking collider cuts the segment a -> b (trunks hide things)
+  function segmentBlocked(ax, az, bx, bz) {
+    const sx = bx - ax;
+    const sz = bz - az;
+    const lenSq = sx * sx + sz * sz;
+    if (lenSq < 1e-8) return false;
+    const len = Math.sqrt(lenSq);
+    // sample the segment at cell spacing; each probe covers its stretch of the line
+    const steps = Math.max(1, Math.ceil(len / cellSize));
+    const probeRadius = (len / steps) * 0.5 + maxRadius;
+
+    for (let s = 0; s <= steps; s++) {
+      const px = ax + (sx * s) / steps;
+      const pz = az + (sz * s) / steps;
+      const blocked = hash.forEachNear(px, pz, probeRadius, (c) => {
+        if (c.top !== undefined) return false;
+        // closest point on the segment to the collider centre
+        const t = Math.max(0, Math.min(1, ((c.x - ax) * sx + (c.z - az) * sz) / lenSq));
+        const dx = ax + sx * t - c.x;
+        const dz = az + sz * t - c.z;
+        return dx * dx + dz * dz < c.radius * c.radius;
+      });
+      if (blocked) return true;
+    }
+    return false;
+  }
+
+  return {
+    add,
+    remove,
+    resolve,
+    segmentBlocked,
+    get size() {
+      return hash.size;
+    }
+  };
+}
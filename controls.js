@@ -1,109 +1,102 @@
 import nipplejs from 'nipplejs';
+import { createGamepadInput } from './gamepad.js';
+import { actionForKey, defaultSettings } from './settings.js';
+import { staminaSpeedFactor, canHoldBreath } from './stamina.js';
 
-export function createControls(camera, domElement) {
+const MAX_PITCH = Math.PI / 2.4;
+const CROUCH_DROP = 0.65; // metres the eyes sink when crouched
+
+export function createControls(camera, domElement, options = {}) {
   const moveDir = { x: 0, y: 0 }; // x: right, y: forward
+
+  // eyes ride the terrain: ground height under the player + a fixed eye height
+  const getGroundHeight = options.getGroundHeight || (() => 0);
+  const eyeHeight = options.eyeHeight ?? 1.6;
+  // optional (x, z, dx, dz) => { x, z } hook that keeps the player out of trunks
+  const resolveMove = options.resolveMove || null;
+  let groundY = getGroundHeight(camera.position.x, camera.position.z);
+  let crouchAmount = 0; // eased 0..1 so the eyes sink instead of jumping
   let yaw = camera.rotation.y || 0;
   let pitch = camera.rotation.x || 0;
 
   const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 
-  // keyboard
-  const keys = { w: 0, a: 0, s: 0, d: 0, up: 0, left: 0, down: 0, right: 0, shift: 0 };
+  // bindings, look sensitivity, invert-Y, stick shaping; read live (see settings.js)
+  const settings = options.settings || defaultSettings();
+  // optional stamina pool (see stamina.js): no sprinting and a slower walk while exhausted
+  const stamina = options.stamina || null;
+
+  // controller: polled by the caller (pollGamepad) so buttons work on the title screen too
+  const gamepad = createGamepadInput({ ...options.gamepad, settings });
+  const gamepadLookSpeed = options.gamepad?.lookSpeed ?? 2.6; // rad/s at full tilt
+
+  // keyboard: keys are looked up in the (live) bindings, so rebinding needs no restart.
+  // held tracks which physical keys are down per action, so releasing one of two keys
+  // bound to the same action doesn't stop it
+  const held = {
+    forward: new Set(),
+    back: new Set(),
+    left: new Set(),
+    right: new Set(),
+    sprint: new Set(),
+    crouch: new Set(),
+    holdBreath: new Set()
+  };
   window.addEventListener('keydown', (e) => {
     if (e.repeat) return;
+    // typing a seed (or anything else) must not walk the player around
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
     const key = e.key.toLowerCase();
-    switch (key) {
-      case 'w':
-      case 'arrowup':
-        keys.w = 1;
-        keys.up = 1;
-        e.preventDefault();
-        break;
-      case 'a':
-      case 'arrowleft':
-        keys.a = 1;
-        keys.left = 1;
-        e.preventDefault();
-        break;
-      case 's':
-      case 'arrowdown':
-        keys.s = 1;
-        keys.down = 1;
-        e.preventDefault();
-        break;
-      case 'd':
-      case 'arrowright':
-        keys.d = 1;
-        keys.right = 1;
-        e.preventDefault();
-        break;
-      case 'shift':
-        keys.shift = 1;
-        e.preventDefault();
-        break;
-      case ' ':
-        // prevent unwanted scroll / page moves when using space
-        e.preventDefault();
-        break;
-    }
+    const action = actionForKey(settings, key);
+    if (!held[action]) return;
+    held[action].add(key);
+    if (action !== 'sprint') e.preventDefault();
   });
+
   window.addEventListener('keyup', (e) => {
     const key = e.key.toLowerCase();
-    switch (key) {
-      case 'w':
-      case 'arrowup':
-        keys.w = 0;
-        keys.up = 0;
-        break;
-      case 'a':
-      case 'arrowleft':
-        keys.a = 0;
-        keys.left = 0;
-        break;
-      case 's':
-      case 'arrowdown':
-        keys.s = 0;
-        keys.down = 0;
-        break;
-      case 'd':
-      case 'arrowright':
-        keys.d = 0;
-        keys.right = 0;
-        break;
-      case 'shift':
-        keys.shift = 0;
-        break;
-    }
+    // the binding may have changed while the key was down; drop it everywhere
+    for (const action in held) held[action].delete(key);
+  });
+
+  // losing focus mid-stride would otherwise leave keys stuck down
+  window.addEventListener('blur', () => {
+    for (const action in held) held[action].clear();
   });
 
   // mouse / touch look
   const lookArea = document.getElementById('touch-look-area');
   const joystickZone = document.getElementById('joystick-zone');
-  let dragging = false;
   let lastX = 0;
   let lastY = 0;
 
-  // unify look sensitivity so touch behaves like desktop pointer-lock
-  const lookSensitivity = 0.0022;
+  // one look path for mouse and touch drags, in pixels; sensitivity and invert-Y are live settings
+  function look(dx, dy) {
+    yaw -= dx * settings.lookSensitivity;
+    pitch -= dy * settings.lookSensitivity * (settings.invertY ? -1 : 1);
+    pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, pitch));
+  }
+
+  // touch look: one finger, tracked by pointer id, so the thumb on the joystick
+  // and the thumb dragging the view never steal each other's movement
+  let lookPointerId = null;
 
-  function startDrag(x, y) {
-    dragging = true;
+  function startDrag(id, x, y) {
+    if (lookPointerId !== null) return;
+    lookPointerId = id;
     lastX = x;
     lastY = y;
   }
-  function moveDrag(x, y) {
-    if (!dragging) return;
+  function moveDrag(id, x, y) {
+    if (id !== lookPointerId) return;
     const dx = x - lastX;
     const dy = y - lastY;
     lastX = x;
     lastY = y;
-    yaw -= dx * lookSensitivity;
-    pitch -= dy * lookSensitivity;
-    const maxPitch = Math.PI / 2.4;
-    pitch = Math.max(-maxPitch, Math.min(maxPitch, pitch));
+    look(dx * settings.touchSensitivity, dy * settings.touchSensitivity);
   }
-  function endDrag() {
-    dragging = false;
+  function endDrag(id) {
+    if (id === lookPointerId) lookPointerId = null;
   }
 
   // Pointer lock for desktop, drag-look for touch
@@ -131,17 +124,49 @@ export function createControls(camera, domElement) {
       if (!pointerLocked) return;
       const dx = e.movementX || 0;
       const dy = e.movementY || 0;
-      yaw -= dx * lookSensitivity;
-      pitch -= dy * lookSensitivity;
-      const maxPitch = Math.PI / 2.4;
-      pitch = Math.max(-maxPitch, Math.min(maxPitch, pitch));
+      look(dx, dy);
+    });
+  } else if (lookArea) {
+    // touch devices: the look area covers the side of the screen opposite the joystick
+    lookArea.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse') return;
+      startDrag(e.pointerId, e.clientX, e.clientY);
+      if (lookPointerId === e.pointerId && lookArea.setPointerCapture) lookArea.setPointerCapture(e.pointerId);
     });
-  } else {
-    // touch devices: disable finger-based camera look so camera stays locked;
-    // movement is handled purely via the virtual joystick below.
-    // (No touch listeners modifying yaw/pitch here.)
+    lookArea.addEventListener('pointermove', (e) => moveDrag(e.pointerId, e.clientX, e.clientY));
+    lookArea.addEventListener('pointerup', (e) => endDrag(e.pointerId));
+    lookArea.addEventListener('pointercancel', (e) => endDrag(e.pointerId));
   }
 
+  // gyro aiming (opt-in): turning the phone turns the head. rotation rates are
+  // in the device's own axes, so they are remapped for the screen orientation
+  let lastGyroTime = 0;
+  window.addEventListener('devicemotion', (e) => {
+    const now = performance.now();
+    const dt = Math.min(0.1, (now - lastGyroTime) / 1000);
+    lastGyroTime = now;
+    if (!settings.gyroAim || !isTouchDevice || !e.rotationRate) return;
+    const { beta, gamma } = e.rotationRate; // deg/s around device x / y
+    if (beta === null || gamma === null) return;
+    const angle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+    let yawRate = gamma;
+    let pitchRate = beta;
+    if (angle === 90) {
+      yawRate = beta;
+      pitchRate = -gamma;
+    } else if (angle === -90 || angle === 270) {
+      yawRate = -beta;
+      pitchRate = gamma;
+    } else if (angle === 180) {
+      yawRate = -gamma;
+      pitchRate = -beta;
+    }
+    const toRad = Math.PI / 180;
+    yaw += yawRate * toRad * dt;
+    pitch += pitchRate * toRad * dt * (settings.invertY ? -1 : 1);
+    pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, pitch));
+  });
+
   // joystick for movement on mobile
   let joystick;
   if (joystickZone && isTouchDevice) {
@@ -171,11 +196,29 @@ export function createControls(camera, domElement) {
   function update(dt) {
     // compute moveDir from keyboard if no joystick input
     if (!isTouchDevice || !joystick) {
-      const forward = (keys.w || keys.up) - (keys.s || keys.down);
-      const right = (keys.d || keys.right) - (keys.a || keys.left);
+      const forward = (held.forward.size ? 1 : 0) - (held.back.size ? 1 : 0);
+      const right = (held.right.size ? 1 : 0) - (held.left.size ? 1 : 0);
       moveDir.x = right;
       moveDir.y = forward;
     }
+    // a tilted stick wins over the keys; its tilt sets the pace
+    const usingStick = gamepad.connected && Math.hypot(gamepad.moveX, gamepad.moveY) > 0;
+    if (usingStick) {
+      moveDir.x = gamepad.moveX;
+      moveDir.y = gamepad.moveY;
+    }
+    if (gamepad.connected) {
+      yaw -= gamepad.lookX * gamepadLookSpeed * dt;
+      pitch -= gamepad.lookY * gamepadLookSpeed * dt * (settings.invertY ? -1 : 1);
+    }
+    const crouching = held.crouch.size > 0 || gamepad.crouch;
+    const wantsSprint = held.sprint.size > 0 || gamepad.sprint;
+    // no running doubled over, nor with a spent body
+    const sprinting = wantsSprint && !crouching && !(stamina && stamina.exhausted);
+    // a held breath is let go the moment he breaks into a run
+    const wantsHold = (held.holdBreath.size > 0 || gamepad.holdBreath) && !sprinting;
+    const holdingBreath = wantsHold && (!stamina || canHoldBreath(stamina));
+    crouchAmount += ((crouching ? 1 : 0) - crouchAmount) * Math.min(1, dt * 8);
 
     // normalize
     const len = Math.hypot(moveDir.x, moveDir.y);
@@ -185,11 +228,13 @@ export function createControls(camera, domElement) {
       my = moveDir.y / len;
     }
 
-    // horror-style: slower walk, faster sprint with Shift
+    // horror-style: slower walk, faster sprint with Shift, a creep when crouched
     const walkSpeed = 1.6;  // m/s
     const sprintSpeed = 3.1;
-    const speed = keys.shift ? sprintSpeed : walkSpeed;
-    const moveStep = speed * dt;
+    const crouchSpeed = 0.8;
+    const speed = sprinting ? sprintSpeed : crouching ? crouchSpeed : walkSpeed;
+    const pace = usingStick ? Math.min(1, len) : 1;
+    const moveStep = speed * dt * pace * (stamina ? staminaSpeedFactor(stamina) : 1);
 
     // apply rotation to movement
     const sin = Math.sin(yaw);
@@ -198,22 +243,57 @@ export function createControls(camera, domElement) {
     const dx = (mx * cos - my * sin) * moveStep;
     const dz = (mx * sin + my * cos) * moveStep;
 
-    camera.position.x += dx;
-    camera.position.z += dz;
+    if (resolveMove) {
+      const moved = resolveMove(camera.position.x, camera.position.z, dx, dz);
+      camera.position.x = moved.x;
+      camera.position.z = moved.z;
+    } else {
+      camera.position.x += dx;
+      camera.position.z += dz;
+    }
+
+    // ease over small bumps so the view doesn't jitter; snap after teleports / loads
+    const targetGround = getGroundHeight(camera.position.x, camera.position.z);
+    if (Math.abs(targetGround - groundY) > 1.5) {
+      groundY = targetGround;
+    } else {
+      groundY += (targetGround - groundY) * Math.min(1, dt * 12);
+    }
 
     // apply first-person camera orientation directly from yaw/pitch
-    const maxPitch = Math.PI / 2.4;
-    if (pitch > maxPitch) pitch = maxPitch;
-    if (pitch < -maxPitch) pitch = -maxPitch;
+    pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, pitch));
     camera.rotation.set(pitch, yaw, 0);
 
-    const moveIntensity = len > 0.01 ? (keys.shift ? 1.0 : 0.6) * len : 0;
+    // how much noise the body makes: steps, bob, what the creatures hear
+    const gait = sprinting ? 1.0 : crouching ? 0.25 : 0.6;
+    const moveIntensity = len > 0.01 ? gait * len : 0;
 
     return {
       moveIntensity,
-      isSprinting: !!(keys.shift && len > 0.01)
+      isSprinting: sprinting && len > 0.01,
+      isCrouching: crouching,
+      isHoldingBreath: holdingBreath,
+      eyeY: groundY + eyeHeight - crouchAmount * CROUCH_DROP
     };
   }
 
-  return { update };
+  // turn the head directly (loading a save, waking up somewhere else)
+  function setLook(newYaw, newPitch) {
+    yaw = newYaw;
+    pitch = newPitch;
+    camera.rotation.set(pitch, yaw, 0);
+  }
+
+  return { update, setLook, gamepad };
+}
+
+// iOS only hands out motion events after asking, from inside a tap
+export async function requestGyroPermission() {
+  const Motion = window.DeviceMotionEvent;
+  if (!Motion || typeof Motion.requestPermission !== 'function') return true;
+  try {
+    return (await Motion.requestPermission()) === 'granted';
+  } catch {
+    return false;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+import { getGroundHeight, hasLineOfSight, moveWithCollisions } from './world.js';
+
+// shared building blocks for creature archetypes: behaviour states,
+// what a creature can sense about the player, and how it moves
+
+// behaviour states, exposed as instance.behavior and on the entity state
+export const BEHAVIOR = {
+  HIDDEN: 'hidden',         // nothing out there (cooling down / despawned)
+  LURKING: 'lurking',       // present between the trees, not moving
+  STALKING: 'stalking',     // following just outside the flashlight's reach
+  APPROACHING: 'approaching', // creeping in while the player stands still
+  RUSHING: 'rushing',       // jump-scare dash straight at the player
+  RETREATING: 'retreating'  // backing off into the dark
+};
+
+const tmpForward = new THREE.Vector3();
+const tmpToTarget = new THREE.Vector3();
+
+// how a creature answers the flashlight beam (archetype.onLit)
+export const BEAM_REACTION = {
+  NONE: 'none',
+  FLEE: 'flee',     // backs off into the dark
+  FREEZE: 'freeze', // can't move while the light is on it
+  ENRAGE: 'enrage'  // the light sets it off
+};
+
+export function setBehavior(inst, behavior) {
+  inst.behavior = behavior;
+  inst.behaviorTime = 0;
+  inst.watchedTime = 0;
+}
+
+// distance, line of sight and whether the player is looking straight at it
+export function senseInstance(inst, ctx) {
+  const { camera, world } = ctx;
+  const pos = inst.object.position;
+  const px = camera.position.x;
+  const pz = camera.position.z;
+  const toX = pos.x - px;
+  const toZ = pos.z - pz;
+  const dist = Math.sqrt(toX * toX + toZ * toZ);
+  inst.distance = dist;
+  inst.awayX = dist > 0.001 ? toX / dist : 0;
+  inst.awayZ = dist > 0.001 ? toZ / dist : 1;
+  inst.inSight = world ? hasLineOfSight(world, px, pz, pos.x, pos.z) : true;
+
+  const forward = camera.getWorldDirection(tmpForward);
+  const flatLen = Math.hypot(forward.x, forward.z) || 1;
+  const facing = dist > 0.001 ? (forward.x * toX + forward.z * toZ) / (flatLen * dist) : 1;
+  inst.watched = inst.inSight && facing > Math.cos(0.45);
+  inst.watchedTime = inst.watched ? inst.watchedTime + ctx.dt : 0;
+}
+
+// 0..1 strength of the flashlight on a creature, from the SpotLight's own
+// range, cone angle and penumbra. trunks shadow the beam like they block sight.
+export function beamExposure(inst, ctx) {
+  const flashlight = ctx.flashlight;
+  if (!flashlight || !flashlight.on || !inst.inSight) return 0;
+  const { light } = flashlight;
+  const pos = inst.object.position;
+
+  tmpToTarget.set(pos.x, pos.y + inst.def.beamHeight, pos.z).sub(ctx.camera.position);
+  const dist = tmpToTarget.length();
+  if (dist < 0.001 || dist > light.distance) return 0;
+
+  const forward = ctx.camera.getWorldDirection(tmpForward);
+  const angle = Math.acos(THREE.MathUtils.clamp(forward.dot(tmpToTarget) / dist, -1, 1));
+  if (angle > light.angle) return 0;
+
+  // full strength inside the inner cone, fading across the penumbra
+  const inner = light.angle * (1 - light.penumbra);
+  const cone = angle <= inner ? 1 : 1 - (angle - inner) / (light.angle - inner);
+  const range = 1 - Math.pow(dist / light.distance, 2);
+  // a sagging or stuttering beam barely touches anything
+  const power = light.intensity / flashlight.maxIntensity;
+  return THREE.MathUtils.clamp(cone * range * power, 0, 1);
+}
+
+// walk toward a point; pass world = null to go straight through trunks
+export function moveToward(inst, world, tx, tz, speed, dt, radius = 0.25) {
+  const pos = inst.object.position;
+  const dx = tx - pos.x;
+  const dz = tz - pos.z;
+  const d = Math.sqrt(dx * dx + dz * dz);
+  if (d < 0.01) return;
+  const step = Math.min(d, speed * dt);
+  const mx = (dx / d) * step;
+  const mz = (dz / d) * step;
+  if (world) {
+    const moved = moveWithCollisions(world, pos.x, pos.z, mx, mz, radius);
+    pos.x = moved.x;
+    pos.z = moved.z;
+  } else {
+    pos.x += mx;
+    pos.z += mz;
+  }
+}
+
+// keep a creature standing on the terrain at the given height
+export function settleOnGround(inst, world, height) {
+  const pos = inst.object.position;
+  pos.y = (world ? getGroundHeight(world, pos.x, pos.z) : 0) + height;
+}
+
+// a point around the player, `angle` radians off their view direction
+// (0 = straight ahead, ±PI = right behind them)
+export function pointAroundPlayer(camera, angle, radius) {
+  const yaw = camera.rotation.y + angle;
+  return {
+    x: camera.position.x - Math.sin(yaw) * radius,
+    z: camera.position.z - Math.cos(yaw) * radius
+  };
+}
+
+// closeness-based threat with a per-creature reach and curve exponent
+export function distanceThreat(dist, reach, curve = 1) {
+  return Math.pow(THREE.MathUtils.clamp(1 - dist / reach, 0, 1), curve);
+}
+
+export function pickFrom(lines) {
+  return lines[Math.floor(Math.random() * lines.length)];
+}
@@ -1,99 +1,320 @@
 import * as THREE from 'three';
+import { listArchetypes, getArchetype } from './archetypes.js';
+import { BEHAVIOR, BEAM_REACTION, senseInstance, beamExposure, setBehavior, pickFrom } from './entity-behavior.js';
 
-export function createEntitySystem(scene, camera) {
+export { BEHAVIOR, BEAM_REACTION };
+
+// how crowded the forest may get: every live creature spends its archetype's
+// cost from this budget, and new arrivals wait out a shared gap between spawns
+const DEFAULT_BUDGET = 3;
+const SPAWN_GAP = [5, 11];      // seconds between any two spawns
+const TYPE_COOLDOWN = [10, 25]; // seconds before the same archetype returns
+const LIT_THRESHOLD = 0.15;     // beam strength that counts as "in the light"
+const DAWN_CALM = 0.4;          // dawn light that sends everything home
+const CROUCHED_DETECTION = 0.6; // crouched, he has to be this much closer to be noticed
+const LOSE_TRACK = 1.5;         // seconds of held breath before a stalker loses him
+
+export function createEntitySystem(scene, camera, options = {}) {
   const group = new THREE.Group();
   scene.add(group);
 
-  const eyeGeo = new THREE.SphereGeometry(0.05, 8, 8);
-  const eyeMat = new THREE.MeshBasicMaterial({ color: 0xff1b2b });
-  const leftEye = new THREE.Mesh(eyeGeo, eyeMat);
-  const rightEye = new THREE.Mesh(eyeGeo, eyeMat);
+  return {
+    group,
+    camera,
+    instances: [],        // live creatures, see spawnInstance for the shape
+    pools: new Map(),     // archetype id -> spare meshes
+    budget: options.budget ?? DEFAULT_BUDGET,
+    cooldown: 0,          // shared gap before the next spawn
+    cooldowns: {},        // archetype id -> seconds until it may spawn again
+    nextId: 1,
+    active: false,
+    lastWhisper: '',
+    behavior: BEHAVIOR.HIDDEN, // behaviour of the most threatening creature
+    archetype: null,           // ...and its archetype id
+    dominant: null,
+    stillTime: 0,     // how long the player has stood still
+    hiddenTime: 0,    // how long the player has been holding their breath
+    movingTime: 0,    // how long the player has been walking again
+    encounters: 0     // creatures met so far (saved)
+  };
+}
 
-  const holder = new THREE.Group();
-  holder.add(leftEye);
-  holder.add(rightEye);
-  leftEye.position.set(-0.08, 0, 0);
-  rightEye.position.set(0.08, 0, 0);
+// env: { world, moveInfo, flashlight, aggression, dawn, pickWhisper(archetypeId) -> line or '' }
+export function updateEntities(state, camera, dt, focus, env = {}) {
+  const moving = (env.moveInfo?.moveIntensity || 0) > 0.05;
 
-  group.add(holder);
+  state.cooldown -= dt;
+  for (const id in state.cooldowns) state.cooldowns[id] -= dt;
+  state.stillTime = moving ? 0 : state.stillTime + dt;
+  state.movingTime = moving ? state.movingTime + dt : 0;
+  state.hiddenTime = env.moveInfo?.isHoldingBreath ? state.hiddenTime + dt : 0;
 
-  let active = false;
-  let timer = 0;
-  let cooldown = 0;
-  let lastWhisper = '';
+  const ctx = createContext(state, camera, dt, focus, env, moving);
 
-  function hide() {
-    group.visible = false;
-    active = false;
-    timer = 0;
+  let whisper = '';
+  let speaker = null;
+
+  // nothing new comes out once the sky starts to grey
+  if (state.cooldown <= 0 && ctx.dawn < DAWN_CALM) {
+    const spawned = trySpawn(state, ctx);
+    if (spawned && spawned.whisper) {
+      whisper = spawned.whisper;
+      speaker = spawned;
+    }
   }
 
-  hide();
+  let threatLevel = 0;
+  let threatSum = 0;
+  let dominant = null;
 
-  return { group, holder, leftEye, rightEye, camera, active, timer, cooldown, lastWhisper };
-}
+  for (const inst of state.instances) {
+    inst.behaviorTime += dt;
+    inst.timer -= dt;
+    inst.whisper = '';
 
-export function updateEntities(state, camera, dt, focus) {
-  let { group } = state;
-  state.cooldown -= dt;
-  state.timer -= dt;
+    senseInstance(inst, ctx);
+    inst.lit = beamExposure(inst, ctx);
+    inst.litTime = inst.lit > LIT_THRESHOLD ? inst.litTime + dt : 0;
+    const leaving = inst.behavior === BEHAVIOR.RETREATING || inst.behavior === BEHAVIOR.HIDDEN;
+    if (ctx.dawn >= DAWN_CALM && !leaving) {
+      setBehavior(inst, BEHAVIOR.RETREATING);
+    }
+    loseTrack(inst, ctx);
+    const frozen = reactToBeam(inst, ctx);
+    if (!frozen) inst.def.update(inst, ctx);
+    if (inst.behavior === BEHAVIOR.HIDDEN) continue;
 
-  let threatLevel = 0;
-  let whisper = '';
+    // upright things turn to face the player; eyes follow the player's head
+    const pos = inst.object.position;
+    const lookY = inst.def.faceCamera ? camera.position.y : pos.y;
+    inst.object.lookAt(camera.position.x, lookY, camera.position.z);
+    // some things only exist where the light falls
+    const revealTarget = inst.lit > LIT_THRESHOLD ? 1 : 0;
+    inst.reveal += (revealTarget - inst.reveal) * Math.min(1, dt * 8);
+    inst.body.setOpacity(inst.opacity * (inst.def.revealedByBeam ? inst.reveal : 1));
 
-  if (!state.active && state.cooldown <= 0) {
-    const chance = 0.02 + (1 - focus) * 0.12;
-    if (Math.random() < chance * dt * 60) {
-      state.active = true;
-      state.timer = 3 + Math.random() * 3;
-      state.cooldown = 10 + Math.random() * 15;
-
-      const radius = 5 + Math.random() * 10;
-      const side = Math.random() < 0.5 ? -1 : 1;
-      const angleOffset = side * (0.9 + Math.random() * 0.4);
-      const yaw = camera.rotation.y + angleOffset;
-
-      group.position.set(
-        camera.position.x + Math.sin(yaw) * radius,
-        camera.position.y + (Math.random() * 0.5 - 0.2),
-        camera.position.z + Math.cos(yaw) * radius
-      );
-
-      group.visible = true;
-      state.lastWhisper = pickWhisper();
-      whisper = state.lastWhisper;
+    inst.threat = THREE.MathUtils.clamp(inst.def.threat(inst, ctx), 0, 1);
+    threatSum += inst.threat;
+    if (!dominant || inst.threat > dominant.threat) dominant = inst;
+    if (inst.whisper) {
+      whisper = inst.whisper;
+      speaker = inst;
     }
   }
 
-  if (state.active) {
-    // look at camera
-    group.lookAt(camera.position.x, camera.position.y, camera.position.z);
+  // despawn anything that went back into the dark this frame
+  for (let i = state.instances.length - 1; i >= 0; i--) {
+    const inst = state.instances[i];
+    if (inst.behavior === BEHAVIOR.HIDDEN) releaseInstance(state, inst, i);
+  }
+
+  if (dominant) {
+    // the closest horror sets the tone; the others add to it
+    threatLevel = Math.min(1, dominant.threat + (threatSum - dominant.threat) * 0.15);
+  }
+
+  if (whisper) state.lastWhisper = whisper;
+  state.dominant = dominant;
+  state.behavior = dominant ? dominant.behavior : BEHAVIOR.HIDDEN;
+  state.archetype = dominant ? dominant.type : null;
+  state.active = state.instances.length > 0;
+
+  // where the whisper came from, so it can be heard from there
+  const whisperFrom = speaker ? speaker.object.position.clone() : null;
+  return { threatLevel, whisper, whisperFrom, behavior: state.behavior, archetype: state.archetype };
+}
+
+// force a specific archetype in (ignores chance and cooldowns, still respects the budget)
+export function spawnArchetype(state, camera, id, focus = 1, env = {}) {
+  const def = getArchetype(id);
+  if (!def || def.cost > state.budget - budgetUsed(state)) return null;
+  return spawnInstance(state, def, createContext(state, camera, 0, focus, env, false));
+}
+
+// focus is gone: whatever is out there stops pretending and comes straight in
+export function closeIn(state, camera, focus = 0, env = {}) {
+  clearEntities(state);
+  const def = getArchetype('watcher');
+  if (!def) return null;
+  const ctx = createContext(state, camera, 0, focus, env, false);
+  const inst = spawnInstance(state, def, ctx);
+  setBehavior(inst, BEHAVIOR.RUSHING);
+  // and then nothing, for a while
+  state.cooldown = 20;
+  return inst;
+}
+
+// what survives a reload: spawn timers and how many things Jafet has met.
+// live creatures don't; they were only ever half there
+export function getEntitySaveState(state) {
+  return { cooldown: state.cooldown, cooldowns: { ...state.cooldowns }, encounters: state.encounters };
+}
+
+export function setEntitySaveState(state, saved) {
+  clearEntities(state);
+  state.cooldown = saved.cooldown;
+  state.cooldowns = { ...saved.cooldowns };
+  state.encounters = saved.encounters;
+}
 
-    const dist = group.position.distanceTo(camera.position);
-    threatLevel = THREE.MathUtils.clamp(1 - dist / 16, 0, 1);
+export function clearEntities(state) {
+  for (let i = state.instances.length - 1; i >= 0; i--) {
+    releaseInstance(state, state.instances[i], i);
+  }
+  state.active = false;
+  state.dominant = null;
+  state.behavior = BEHAVIOR.HIDDEN;
+  state.archetype = null;
+}
 
-    if (state.timer <= 0 || dist < 1.2) {
-      hideEntity(state);
+function createContext(state, camera, dt, focus, env, moving) {
+  return {
+    camera,
+    world: env.world,
+    dt,
+    focus,
+    // low focus makes everything bolder: faster, closer, slower to scare off.
+    // so does a deep night
+    boldness: Math.min(1, 1 - focus + (env.aggression || 0) * 0.5),
+    aggression: env.aggression || 0,
+    dawn: env.dawn || 0,
+    moving,
+    crouching: !!env.moveInfo?.isCrouching,
+    // scales the distances at which a creature notices him and closes in
+    detection: env.moveInfo?.isCrouching ? CROUCHED_DETECTION : 1,
+    hiddenTime: state.hiddenTime,
+    stillTime: state.stillTime,
+    movingTime: state.movingTime,
+    flashlight: env.flashlight || null,
+    flashlightRange: env.flashlight ? env.flashlight.light.distance : 18,
+    // the story gets first say; an archetype's own lines fill the gaps
+    say(def) {
+      const line = env.pickWhisper ? env.pickWhisper(def.id) : '';
+      return line || (def.whispers.length ? pickFrom(def.whispers) : '');
     }
+  };
+}
+
+// a held breath: whatever is following and not looking right at him loses
+// the thread. the bolder it is, the longer he has to hold it
+function loseTrack(inst, ctx) {
+  const following = inst.behavior === BEHAVIOR.STALKING || inst.behavior === BEHAVIOR.APPROACHING;
+  if (!following || inst.watched) return;
+  if (ctx.hiddenTime > LOSE_TRACK * (1 + ctx.boldness)) setBehavior(inst, BEHAVIOR.RETREATING);
+}
+
+// the beam's effect, per archetype. returns true while the creature is held still
+function reactToBeam(inst, ctx) {
+  if (inst.litTime <= 0) return false;
+  const { def } = inst;
+  const settled = inst.behavior === BEHAVIOR.RETREATING || inst.behavior === BEHAVIOR.HIDDEN;
+
+  switch (def.onLit) {
+    case BEAM_REACTION.FLEE:
+      if (inst.litTime > 0.25 && !settled) setBehavior(inst, BEHAVIOR.RETREATING);
+      return false;
+
+    case BEAM_REACTION.FREEZE:
+      // pinned in place for as long as the battery holds
+      return !settled && inst.behavior !== BEHAVIOR.RUSHING;
+
+    case BEAM_REACTION.ENRAGE:
+      if (inst.litTime > 0.15 && !settled && inst.behavior !== BEHAVIOR.RUSHING) {
+        setBehavior(inst, BEHAVIOR.RUSHING);
+        inst.whisper = ctx.say(def);
+      }
+      return false;
+
+    default:
+      return false;
   }
+}
 
-  return { threatLevel, whisper };
+function budgetUsed(state) {
+  let used = 0;
+  for (const inst of state.instances) used += inst.def.cost;
+  return used;
 }
 
-function hideEntity(state) {
-  state.group.visible = false;
-  state.active = false;
-  state.timer = 0;
+function countOf(state, id) {
+  let n = 0;
+  for (const inst of state.instances) if (inst.type === id) n++;
+  return n;
+}
+
+// one draw per frame across everything that could come: something arrives
+// at the summed rate, and which one is weighted by its own rate, so the
+// order archetypes were registered in gives none of them a head start
+function trySpawn(state, ctx) {
+  const free = state.budget - budgetUsed(state);
+  const eligible = [];
+  let total = 0;
+  for (const def of listArchetypes()) {
+    if (def.cost > free) continue;
+    if ((state.cooldowns[def.id] ?? 0) > 0) continue;
+    if (countOf(state, def.id) >= def.maxActive) continue;
+    if (!def.spawn.when(ctx)) continue;
+    const rate = def.spawn.rate(ctx);
+    if (rate <= 0) continue;
+    eligible.push({ def, rate });
+    total += rate;
+  }
+  if (!eligible.length || Math.random() >= total * ctx.dt) return null;
+  let pick = Math.random() * total;
+  for (const { def, rate } of eligible) {
+    pick -= rate;
+    if (pick < 0) return spawnInstance(state, def, ctx);
+  }
+  return spawnInstance(state, eligible[eligible.length - 1].def, ctx);
 }
 
-function pickWhisper() {
-  const lines = [
-    'he left you here',
-    'wake up if you can',
-    'the trees remember you',
-    'he likes it when you run',
-    'this is the third night',
-    'you have never left'
-  ];
-  return lines[Math.floor(Math.random() * lines.length)];
-}
\ No newline at end of file
+function spawnInstance(state, def, ctx) {
+  const pool = state.pools.get(def.id);
+  const body = (pool && pool.pop()) || def.build();
+  const spot = def.spawn.place(ctx);
+
+  const inst = {
+    id: state.nextId++,
+    type: def.id,
+    def,
+    body,
+    object: body.object,
+    behavior: BEHAVIOR.HIDDEN,
+    behaviorTime: 0,
+    timer: 0,
+    opacity: 1,
+    threat: 0,
+    distance: Infinity,
+    inSight: false,
+    watched: false,
+    watchedTime: 0,
+    awayX: 0,       // unit vector from the player toward it
+    awayZ: 1,
+    echoSteps: false, // true while it is walking in step with the player
+    lit: 0,         // flashlight strength on it this frame
+    litTime: 0,
+    reveal: 0,      // eased visibility for beam-revealed archetypes
+    whisper: ctx.say(def),
+    data: {}        // archetype-private scratch
+  };
+
+  inst.object.position.set(spot.x, ctx.camera.position.y, spot.z);
+  inst.object.visible = true;
+  body.setOpacity(def.revealedByBeam ? 0 : 1);
+  state.group.add(inst.object);
+  def.start(inst, ctx);
+  state.instances.push(inst);
+  state.encounters++;
+
+  state.cooldown = SPAWN_GAP[0] + Math.random() * (SPAWN_GAP[1] - SPAWN_GAP[0]);
+  state.cooldowns[def.id] = TYPE_COOLDOWN[0] + Math.random() * (TYPE_COOLDOWN[1] - TYPE_COOLDOWN[0]);
+  return inst;
+}
+
+function releaseInstance(state, inst, index) {
+  state.instances.splice(index, 1);
+  state.group.remove(inst.object);
+  inst.object.visible = false;
+  if (!state.pools.has(inst.type)) state.pools.set(inst.type, []);
+  state.pools.get(inst.type).push(inst.body);
+}
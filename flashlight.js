@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+
+// the flashlight: a camera-mounted spot with a draining battery.
+// low charge sags the beam and makes it stutter; fear makes it stutter too.
+// switched off, the battery slowly recovers (faster while standing still).
+
+const FULL_INTENSITY = 2.4;
+const DRAIN_PER_SECOND = 1 / 240;   // a full battery lasts about four minutes
+const RECHARGE_PER_SECOND = 1 / 150; // resting with the light off
+const RECHARGE_DELAY = 2;           // seconds off before it starts to recover
+const LOW_BATTERY = 0.25;
+
+export function createFlashlight(camera) {
+  // flashlight attached to the camera
+  const light = new THREE.SpotLight(0xfffbe6, FULL_INTENSITY, 18, Math.PI / 7, 0.4, 1.3);
+  light.position.set(0, 0, 0);
+  light.castShadow = false;
+  camera.add(light);
+  const target = new THREE.Object3D();
+  target.position.set(0, 0, -1);
+  camera.add(target);
+  light.target = target;
+
+  const flashlight = {
+    light,
+    target,
+    on: true,
+    maxIntensity: FULL_INTENSITY,
+    battery: 1,      // 0..1
+    offTime: 0,      // seconds since it was switched off
+    flicker: 0,      // remaining seconds of the current stutter
+    flickerLevel: 1  // intensity multiplier during a stutter
+  };
+  light.visible = flashlight.on;
+  return flashlight;
+}
+
+export function setFlashlightOn(flashlight, on) {
+  // a dead battery gives nothing but a click
+  flashlight.on = !!on && flashlight.battery > 0;
+  flashlight.offTime = 0;
+  flashlight.light.visible = flashlight.on;
+}
+
+export function toggleFlashlight(flashlight) {
+  setFlashlightOn(flashlight, !flashlight.on);
+}
+
+export function rechargeFlashlight(flashlight, amount) {
+  flashlight.battery = THREE.MathUtils.clamp(flashlight.battery + amount, 0, 1);
+}
+
+export function updateFlashlight(flashlight, dt, threat = 0, moving = false) {
+  const { light } = flashlight;
+
+  if (!flashlight.on) {
+    flashlight.offTime += dt;
+    if (flashlight.offTime > RECHARGE_DELAY) {
+      rechargeFlashlight(flashlight, RECHARGE_PER_SECOND * (moving ? 1 : 2) * dt);
+    }
+    return;
+  }
+
+  flashlight.battery = Math.max(0, flashlight.battery - DRAIN_PER_SECOND * dt);
+  if (flashlight.battery <= 0) {
+    setFlashlightOn(flashlight, false);
+    return;
+  }
+
+  // the beam sags over the last quarter of the charge
+  const sag = flashlight.battery < LOW_BATTERY ? 0.35 + 0.65 * (flashlight.battery / LOW_BATTERY) : 1;
+
+  // stutters come more often as the battery dies and as fear rises
+  const lowness = THREE.MathUtils.clamp(1 - flashlight.battery / LOW_BATTERY, 0, 1);
+  const stutterRate = lowness * 0.8 + threat * threat * 2.5; // per second
+  if (flashlight.flicker > 0) {
+    flashlight.flicker -= dt;
+    if (Math.random() < dt * 25) flashlight.flickerLevel = Math.random() < 0.5 ? 0.05 : 0.4 + Math.random() * 0.5;
+  } else if (Math.random() < stutterRate * dt) {
+    flashlight.flicker = 0.08 + Math.random() * (0.15 + lowness * 0.4);
+    flashlight.flickerLevel = Math.random() * 0.3;
+  } else {
+    flashlight.flickerLevel = 1;
+  }
+
+  light.intensity = FULL_INTENSITY * sag * flashlight.flickerLevel;
+}
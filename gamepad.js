@@ -0,0 +1,130 @@
+import { defaultSettings } from './settings.js';
+
+// controller input through the Gamepad API (standard mapping).
+// sticks are shaped by a deadzone and a response curve (live settings, see
+// settings.js); buttons are turned into named actions on the frame they go down.
+
+// standard-mapping button indices -> actions
+const BUTTON_ACTIONS = {
+  0: 'confirm',    // A / cross
+  5: 'flashlight', // right bumper
+  8: 'journal',    // back / share
+  9: 'menu'        // start / options
+};
+const SPRINT_TRIGGER = 7; // right trigger, analog
+const HOLD_BREATH_TRIGGER = 6; // left trigger, analog
+const TRIGGER_THRESHOLD = 0.4;
+const CROUCH_BUTTON = 1; // B / circle, held
+const RUMBLE_INTERVAL = 120; // ms between rumble pulses
+
+export function createGamepadInput(options = {}) {
+  const pad = {
+    index: null,     // navigator.getGamepads() slot of the controller in use
+    connected: false,
+    // gamepadDeadzone and gamepadCurve are read from here every poll
+    settings: options.settings || defaultSettings(),
+    moveX: 0,
+    moveY: 0,        // forward is positive
+    lookX: 0,
+    lookY: 0,
+    sprint: false,
+    crouch: false,
+    holdBreath: false,
+    pressed: [],     // buttons held last poll
+    lastRumble: 0
+  };
+
+  function adopt(gamepad) {
+    pad.index = gamepad.index;
+    pad.connected = true;
+    // buttons already held don't count as presses
+    pad.pressed = gamepad.buttons.map((b) => b.pressed);
+    if (options.onConnect) options.onConnect(gamepad);
+  }
+
+  window.addEventListener('gamepadconnected', (e) => {
+    if (pad.connected) return;
+    adopt(e.gamepad);
+  });
+
+  window.addEventListener('gamepaddisconnected', (e) => {
+    if (e.gamepad.index !== pad.index) return;
+    pad.index = null;
+    pad.connected = false;
+    pad.moveX = pad.moveY = pad.lookX = pad.lookY = 0;
+    pad.sprint = pad.crouch = pad.holdBreath = false;
+    if (options.onDisconnect) options.onDisconnect(e.gamepad);
+    // a second controller that was plugged in meanwhile takes over
+    const other = findConnectedPad(e.gamepad.index);
+    if (other) adopt(other);
+  });
+
+  return pad;
+}
+
+function findConnectedPad(skipIndex) {
+  if (!navigator.getGamepads) return null;
+  for (const gp of navigator.getGamepads()) {
+    if (gp && gp.connected && gp.index !== skipIndex) return gp;
+  }
+  return null;
+}
+
+function getPad(pad) {
+  if (!pad.connected || !navigator.getGamepads) return null;
+  return navigator.getGamepads()[pad.index] || null;
+}
+
+// radial deadzone, then the response curve on what's left
+export function shapeStick(x, y, deadzone, curve) {
+  const mag = Math.hypot(x, y);
+  if (mag <= deadzone) return { x: 0, y: 0 };
+  const scaled = Math.min(1, (mag - deadzone) / (1 - deadzone));
+  const shaped = Math.pow(scaled, curve);
+  return { x: (x / mag) * shaped, y: (y / mag) * shaped };
+}
+
+// read the controller once per frame; onAction(name) fires on button presses
+export function pollGamepad(pad, onAction) {
+  const gp = getPad(pad);
+  if (!gp) return;
+
+  const { gamepadDeadzone, gamepadCurve } = pad.settings;
+  const move = shapeStick(gp.axes[0] || 0, gp.axes[1] || 0, gamepadDeadzone, 1);
+  pad.moveX = move.x;
+  pad.moveY = -move.y;
+  const look = shapeStick(gp.axes[2] || 0, gp.axes[3] || 0, gamepadDeadzone, gamepadCurve);
+  pad.lookX = look.x;
+  pad.lookY = look.y;
+
+  pad.sprint = triggerHeld(gp, SPRINT_TRIGGER);
+  pad.holdBreath = triggerHeld(gp, HOLD_BREATH_TRIGGER);
+  pad.crouch = !!gp.buttons[CROUCH_BUTTON] && gp.buttons[CROUCH_BUTTON].pressed;
+
+  gp.buttons.forEach((button, i) => {
+    const was = pad.pressed[i];
+    pad.pressed[i] = button.pressed;
+    if (button.pressed && !was && BUTTON_ACTIONS[i] && onAction) onAction(BUTTON_ACTIONS[i]);
+  });
+}
+
+function triggerHeld(gp, index) {
+  const trigger = gp.buttons[index];
+  return !!trigger && trigger.value > TRIGGER_THRESHOLD;
+}
+
+// a heartbeat in the hands: short pulses scaled by strength (0..1)
+export function rumbleGamepad(pad, strength) {
+  const gp = getPad(pad);
+  if (!gp || !gp.vibrationActuator || strength < 0.05) return;
+  const now = performance.now();
+  if (now - pad.lastRumble < RUMBLE_INTERVAL) return;
+  pad.lastRumble = now;
+  const effect = gp.vibrationActuator.playEffect('dual-rumble', {
+    duration: RUMBLE_INTERVAL + 20,
+    strongMagnitude: Math.min(1, strength * strength),
+    weakMagnitude: Math.min(1, strength * 0.6)
+  });
+  // some browsers reject effects the pad can't do; a silent pad is fine
+  if (effect && effect.catch) effect.catch(() => {});
+}
@@ -0,0 +1,441 @@
+import * as THREE from 'three';
+import { createRng, hashCoords, regionRng, SEED_SALT } from './seed.js';
+
+// rare set pieces between the trees: a cabin, a dry well, a ring of stones,
+// a swing. the seed gives every region of the map one possible landmark (its
+// type, spot and facing); distance walked decides when the next of those,
+// somewhere ahead in the fog, actually turns up. once placed they stay; the
+// forest grows around them, never through them.
+// world.js drives this from updateWorld, alongside the tree streaming.
+
+const FIRST_AT = [90, 150];   // metres walked before the first one
+const INTERVAL = [170, 300];  // metres walked between the ones after
+const RETRY_AFTER = 20;       // metres to wait when there was no candidate ahead
+const REGION_SIZE = 140;      // one candidate per region
+const REGION_MARGIN = 25;     // candidates keep off region edges, so neighbours stay apart
+const PLACE_RANGE = [70, 210]; // past the loaded trees and deep in the fog, but not too far
+const PLACE_CONE = 0.5;       // cosine of the widest angle off the view that counts as ahead
+const MIN_APART = 60;
+const STREAM_RADIUS = 95;
+const MAX_REMEMBERED = 40;
+const MAX_STEP = 10;          // a longer jump between frames is a teleport, not a walk
+const DISCOVER_RADIUS = 20;   // close enough to have seen it for what it is (the minimap shows these)
+// a fixed pool of lights handed to the nearest landmarks. the count never
+// changes, so materials aren't recompiled every time one comes into view
+const LIGHT_POOL = 2;
+const LIGHT_RANGE = 40;
+const LIGHT_FADE = 10;
+
+// type -> clearing (radius kept free of trees), light, sound, build(rng, groundAt)
+// build returns { object, colliders: [{ x, z, radius, top? }], animate?(time) }
+// with everything in the landmark's own frame; groundAt(x, z) is the terrain
+// height there relative to the landmark's centre
+const LANDMARK_TYPES = {
+  // a one-room cabin with a lamp still burning in the window
+  cabin: {
+    clearing: 7,
+    light: { color: 0xff9a4a, intensity: 2.6, distance: 14, x: 0, y: 1.4, z: 3, flicker: true },
+    sound: { name: 'draft', every: [5, 11], y: 1.6 },
+    build() {
+      const object = new THREE.Group();
+      const wood = new THREE.MeshStandardMaterial({ color: 0x3a2c22, roughness: 0.95 });
+      const dark = new THREE.MeshStandardMaterial({ color: 0x1b1511, roughness: 1 });
+
+      // the walls run well below the floor so slopes never show a gap
+      const walls = new THREE.Mesh(new THREE.BoxGeometry(4, 3, 5), wood);
+      walls.position.y = 0.9;
+      const roof = new THREE.Mesh(new THREE.ConeGeometry(3.6, 1.5, 4), dark);
+      roof.rotation.y = Math.PI / 4;
+      roof.scale.set(1, 1, 1.3);
+      roof.position.y = 3.15;
+      const chimney = new THREE.Mesh(new THREE.BoxGeometry(0.5, 1.4, 0.5), dark);
+      chimney.position.set(1.1, 3.4, -1.2);
+      // ajar, on the side facing the window light
+      const door = new THREE.Mesh(new THREE.BoxGeometry(0.9, 1.9, 0.08), dark);
+      door.position.set(-0.9, 0.95, 2.62);
+      door.rotation.y = -0.5;
+      const pane = new THREE.Mesh(
+        new THREE.PlaneGeometry(0.8, 0.6),
+        new THREE.MeshBasicMaterial({ color: 0xffb060 })
+      );
+      pane.position.set(0.8, 1.5, 2.51);
+      object.add(walls, roof, chimney, door, pane);
+
+      return {
+        object,
+        colliders: [
+          { x: 0, z: -1.2, radius: 2.1 },
+          { x: 0, z: 1.2, radius: 2.1 }
+        ]
+      };
+    }
+  },
+
+  // a ring of stones around a black hole in the ground, cold light at the bottom
+  well: {
+    clearing: 3.5,
+    light: { color: 0x6f8fff, intensity: 1.2, distance: 8, x: 0, y: 0.6, z: 0, flicker: false },
+    sound: { name: 'drip', every: [2.5, 6], y: 0 },
+    build() {
+      const object = new THREE.Group();
+      const stone = new THREE.MeshStandardMaterial({ color: 0x55524c, roughness: 1 });
+      const wood = new THREE.MeshStandardMaterial({ color: 0x2e241c, roughness: 0.95 });
+
+      const ring = new THREE.Mesh(new THREE.CylinderGeometry(0.95, 1.05, 1.3, 14), stone);
+      ring.position.y = 0.25;
+      const hole = new THREE.Mesh(
+        new THREE.CircleGeometry(0.8, 14),
+        new THREE.MeshBasicMaterial({ color: 0x000000 })
+      );
+      hole.rotation.x = -Math.PI / 2;
+      hole.position.y = 0.91;
+      object.add(ring, hole);
+
+      for (const side of [-1, 1]) {
+        const post = new THREE.Mesh(new THREE.BoxGeometry(0.12, 1.6, 0.12), wood);
+        post.position.set(side * 0.9, 1.6, 0);
+        object.add(post);
+      }
+      const bar = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 2, 6), wood);
+      bar.rotation.z = Math.PI / 2;
+      bar.position.y = 2.2;
+      // the rope goes down and nothing comes back up on it
+      const rope = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.012, 1.6, 4), wood);
+      rope.position.y = 1.4;
+      object.add(bar, rope);
+
+      return { object, colliders: [{ x: 0, z: 0, radius: 1.05, top: 0.9 }] };
+    }
+  },
+
+  // standing stones in a clearing, leaning in toward a flat one
+  stones: {
+    clearing: 9,
+    light: { color: 0xbfe8d0, intensity: 1.6, distance: 16, x: 0, y: 3, z: 0, flicker: false },
+    sound: { name: 'hum', every: [6, 12], y: 1 },
+    build(rng, groundAt) {
+      const object = new THREE.Group();
+      const stone = new THREE.MeshStandardMaterial({ color: 0x6a6862, roughness: 1, flatShading: true });
+      const colliders = [];
+
+      const count = 7 + Math.floor(rng() * 4);
+      const radius = 5.5;
+      for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2 + (rng() - 0.5) * 0.2;
+        const height = 1.2 + rng() * 1;
+        const x = Math.cos(angle) * radius;
+        const z = Math.sin(angle) * radius;
+        const slab = new THREE.Mesh(new THREE.BoxGeometry(0.7, height + 0.5, 0.4), stone);
+        slab.position.set(x, groundAt(x, z) + height / 2 - 0.25, z);
+        slab.rotation.y = -angle + Math.PI / 2;
+        // leaning in, a little
+        slab.rotation.x = (rng() - 0.3) * 0.2;
+        object.add(slab);
+        colliders.push({ x, z, radius: 0.45, top: groundAt(x, z) + height });
+      }
+
+      const altar = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.7, 1), stone);
+      altar.position.y = groundAt(0, 0) + 0.1;
+      altar.rotation.y = rng() * Math.PI;
+      object.add(altar);
+      colliders.push({ x: 0, z: 0, radius: 0.7, top: 0.45 });
+
+      return { object, colliders };
+    }
+  },
+
+  // a dead tree with a swing on its one branch, moving on its own
+  swing: {
+    clearing: 4.5,
+    light: { color: 0xcfd8ff, intensity: 1, distance: 10, x: 1.6, y: 5.5, z: 0, flicker: false },
+    // a squeak at each end of the swing
+    sound: { name: 'chain', every: [1.43, 1.43], x: 1.6, y: 4.4 },
+    build() {
+      const object = new THREE.Group();
+      const bark = new THREE.MeshStandardMaterial({ color: 0x2b241e, roughness: 1 });
+      const rope = new THREE.MeshStandardMaterial({ color: 0x5a5248, roughness: 1 });
+
+      const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.5, 6.5, 7), bark);
+      trunk.position.y = 3;
+      const branch = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.18, 3.2, 6), bark);
+      branch.rotation.z = Math.PI / 2 - 0.08;
+      branch.position.set(1.5, 4.6, 0);
+      object.add(trunk, branch);
+
+      // ropes and seat hang from a pivot on the branch
+      const pivot = new THREE.Group();
+      pivot.position.set(1.6, 4.5, 0);
+      for (const side of [-1, 1]) {
+        const line = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 3.3, 4), rope);
+        line.position.set(side * 0.28, -1.65, 0);
+        pivot.add(line);
+      }
+      const seat = new THREE.Mesh(new THREE.BoxGeometry(0.65, 0.05, 0.25), bark);
+      seat.position.y = -3.3;
+      pivot.add(seat);
+      object.add(pivot);
+
+      return {
+        object,
+        colliders: [{ x: 0, z: 0, radius: 0.5 }],
+        animate(time) {
+          pivot.rotation.x = Math.sin(time * 2.2) * 0.35;
+        }
+      };
+    }
+  }
+};
+
+const TYPE_IDS = Object.keys(LANDMARK_TYPES);
+
+export function createLandmarkSystem(scene) {
+  const group = new THREE.Group();
+  scene.add(group);
+
+  const lights = [];
+  for (let i = 0; i < LIGHT_POOL; i++) {
+    const light = new THREE.PointLight(0xffffff, 0, 10, 2);
+    scene.add(light);
+    lights.push(light);
+  }
+
+  return {
+    group,
+    lights,
+    placed: [],  // { id, type, x, z, rotY, discovered } in the order they were found (saved)
+    loaded: [],  // placed landmarks currently in the scene, see loadLandmark
+    walked: 0,   // metres walked in this dream (saved)
+    next: null,  // walked distance at which the next one is due (saved)
+    count: 0,    // landmarks placed so far; numbers each one's randomness (saved)
+    lastX: null,
+    lastZ: null
+  };
+}
+
+// how far apart they come is seeded by how many came before
+function rollInterval(system, world) {
+  const [min, max] = system.count === 0 ? FIRST_AT : INTERVAL;
+  const rng = createRng(hashCoords(world.seedInt, system.count, 0, SEED_SALT.landmarkTiming));
+  return min + rng() * (max - min);
+}
+
+// the landmark a region would hold: same seed, same region, same landmark
+function regionCandidate(world, rx, rz) {
+  const rng = regionRng(world.seedInt, rx, rz, SEED_SALT.landmarks);
+  const span = REGION_SIZE - REGION_MARGIN * 2;
+  return {
+    id: `landmark-${rx},${rz}`,
+    type: TYPE_IDS[Math.floor(rng() * TYPE_IDS.length)],
+    x: rx * REGION_SIZE + REGION_MARGIN + rng() * span,
+    z: rz * REGION_SIZE + REGION_MARGIN + rng() * span,
+    rotY: rng() * Math.PI * 2,
+    discovered: false
+  };
+}
+
+// the nearest unplaced candidate ahead of the player, or null if there is none
+function placeLandmark(system, world, camera) {
+  const cx = camera.position.x;
+  const cz = camera.position.z;
+  const forwardX = -Math.sin(camera.rotation.y);
+  const forwardZ = -Math.cos(camera.rotation.y);
+  const [near, far] = PLACE_RANGE;
+  const reach = Math.ceil(far / REGION_SIZE);
+  const rx0 = Math.floor(cx / REGION_SIZE);
+  const rz0 = Math.floor(cz / REGION_SIZE);
+
+  let best = null;
+  let bestDist = far;
+  for (let rx = rx0 - reach; rx <= rx0 + reach; rx++) {
+    for (let rz = rz0 - reach; rz <= rz0 + reach; rz++) {
+      const candidate = regionCandidate(world, rx, rz);
+      const dx = candidate.x - cx;
+      const dz = candidate.z - cz;
+      const dist = Math.hypot(dx, dz);
+      if (dist < near || dist >= bestDist) continue;
+      if ((dx * forwardX + dz * forwardZ) / dist < PLACE_CONE) continue;
+      const crowded = system.placed.some(
+        (l) => l.id === candidate.id || Math.hypot(l.x - candidate.x, l.z - candidate.z) < MIN_APART
+      );
+      if (crowded) continue;
+      best = candidate;
+      bestDist = dist;
+    }
+  }
+  if (!best) return null;
+
+  system.placed.push(best);
+  // the forest is endless; only the most recent ones need remembering
+  if (system.placed.length > MAX_REMEMBERED) unloadLandmark(system, world, system.placed.shift());
+  return best;
+}
+
+// landmark frame -> world, around its centre
+function toWorld(landmark, lx, lz) {
+  const cos = Math.cos(landmark.rotY);
+  const sin = Math.sin(landmark.rotY);
+  return { x: landmark.x + lx * cos + lz * sin, z: landmark.z - lx * sin + lz * cos };
+}
+
+function loadLandmark(system, world, landmark) {
+  const def = LANDMARK_TYPES[landmark.type];
+  const baseY = world.heightAt(landmark.x, landmark.z);
+  const groundAt = (lx, lz) => {
+    const p = toWorld(landmark, lx, lz);
+    return world.heightAt(p.x, p.z) - baseY;
+  };
+  // details (how many stones, how they lean) come from where it stands
+  const rng = createRng(hashCoords(world.seedInt, Math.floor(landmark.x), Math.floor(landmark.z), SEED_SALT.landmarks));
+  const built = def.build(rng, groundAt);
+  built.object.position.set(landmark.x, baseY, landmark.z);
+  built.object.rotation.y = landmark.rotY;
+  system.group.add(built.object);
+
+  const colliders = built.colliders.map((c) => {
+    const p = toWorld(landmark, c.x, c.z);
+    const collider = { x: p.x, z: p.z, radius: c.radius, kind: 'landmark' };
+    if (c.top !== undefined) collider.top = baseY + c.top;
+    return world.colliders.add(collider);
+  });
+
+  const lightAt = toWorld(landmark, def.light.x, def.light.z);
+  const soundAt = toWorld(landmark, def.sound.x || 0, def.sound.z || 0);
+  landmark.runtime = {
+    def,
+    object: built.object,
+    animate: built.animate || null,
+    colliders,
+    light: { x: lightAt.x, y: baseY + def.light.y, z: lightAt.z },
+    flicker: 1
+  };
+  // what the audio needs to give it a voice
+  landmark.sound = { name: def.sound.name, every: def.sound.every, x: soundAt.x, y: baseY + def.sound.y, z: soundAt.z };
+  system.loaded.push(landmark);
+}
+
+function unloadLandmark(system, world, landmark) {
+  const runtime = landmark.runtime;
+  if (!runtime) return;
+  system.group.remove(runtime.object);
+  runtime.object.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+  });
+  for (const collider of runtime.colliders) world.colliders.remove(collider);
+  landmark.runtime = null;
+  landmark.sound = null;
+  system.loaded = system.loaded.filter((l) => l !== landmark);
+}
+
+// walks the odometer, places what is due and streams landmarks in and out.
+// returns the landmarks placed this frame, so the world can clear their ground
+export function updateLandmarks(system, world, camera, time) {
+  const cx = camera.position.x;
+  const cz = camera.position.z;
+  if (system.lastX !== null) {
+    const step = Math.hypot(cx - system.lastX, cz - system.lastZ);
+    if (step < MAX_STEP) system.walked += step;
+  }
+  system.lastX = cx;
+  system.lastZ = cz;
+
+  const placedNow = [];
+  if (system.next === null) system.next = system.walked + rollInterval(system, world);
+  if (system.walked >= system.next) {
+    const landmark = placeLandmark(system, world, camera);
+    if (landmark) {
+      system.count++;
+      system.next = system.walked + rollInterval(system, world);
+      placedNow.push(landmark);
+    } else {
+      system.next = system.walked + RETRY_AFTER;
+    }
+  }
+
+  for (const landmark of system.placed) {
+    const dist = Math.hypot(landmark.x - cx, landmark.z - cz);
+    if (dist < DISCOVER_RADIUS) landmark.discovered = true;
+    if (!landmark.runtime && dist < STREAM_RADIUS) loadLandmark(system, world, landmark);
+    else if (landmark.runtime && dist > STREAM_RADIUS + 10) unloadLandmark(system, world, landmark);
+  }
+
+  for (const landmark of system.loaded) {
+    if (landmark.runtime.animate) landmark.runtime.animate(time);
+  }
+  updateLights(system, cx, cz, time);
+  return placedNow;
+}
+
+// the pool goes to the closest lit landmarks, fading in and out at the edge of range
+function updateLights(system, cx, cz, time) {
+  const nearest = system.loaded
+    .map((landmark) => ({ landmark, dist: Math.hypot(landmark.x - cx, landmark.z - cz) }))
+    .filter((entry) => entry.dist < LIGHT_RANGE)
+    .sort((a, b) => a.dist - b.dist);
+
+  system.lights.forEach((light, i) => {
+    const entry = nearest[i];
+    if (!entry) {
+      light.intensity = 0;
+      return;
+    }
+    const { runtime } = entry.landmark;
+    const style = runtime.def.light;
+    if (style.flicker) {
+      // a lamp on its last drops of oil
+      const target = 0.75 + Math.sin(time * 13 + entry.landmark.rotY) * 0.1 + Math.random() * 0.15;
+      runtime.flicker += (target - runtime.flicker) * 0.3;
+    }
+    const fade = THREE.MathUtils.clamp((LIGHT_RANGE - entry.dist) / LIGHT_FADE, 0, 1);
+    light.color.setHex(style.color);
+    light.distance = style.distance;
+    light.position.set(runtime.light.x, runtime.light.y, runtime.light.z);
+    light.intensity = style.intensity * fade * (style.flicker ? runtime.flicker : 1);
+  });
+}
+
+// true if (x, z) is inside a landmark's clearing, padded by `pad`
+export function landmarkClaims(system, x, z, pad = 0) {
+  for (const landmark of system.placed) {
+    const r = LANDMARK_TYPES[landmark.type].clearing + pad;
+    const dx = landmark.x - x;
+    const dz = landmark.z - z;
+    if (dx * dx + dz * dz < r * r) return true;
+  }
+  return false;
+}
+
+export function landmarkClearing(landmark) {
+  return LANDMARK_TYPES[landmark.type].clearing;
+}
+
+// a new dream starts with nothing found
+export function resetLandmarks(system, world) {
+  for (const landmark of system.loaded.slice()) unloadLandmark(system, world, landmark);
+  system.placed = [];
+  system.walked = 0;
+  system.next = null;
+  system.count = 0;
+  system.lastX = null;
+  system.lastZ = null;
+}
+
+export function getLandmarkState(system) {
+  return {
+    walked: system.walked,
+    next: system.next,
+    count: system.count,
+    placed: system.placed.map(({ id, type, x, z, rotY, discovered }) => ({ id, type, x, z, rotY, discovered }))
+  };
+}
+
+// landmarks of a type this build doesn't know are left behind
+export function setLandmarkState(system, world, saved) {
+  resetLandmarks(system, world);
+  system.walked = saved.walked;
+  system.next = saved.next;
+  system.count = saved.count;
+  system.placed = saved.placed
+    .filter((l) => LANDMARK_TYPES[l.type])
+    .map(({ id, type, x, z, rotY, discovered }) => ({ id, type, x, z, rotY, discovered }));
+}
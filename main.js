@@ -1,8 +1,78 @@
 import * as THREE from 'three';
-import { createControls } from './controls.js';
-import { createWorld, updateWorld } from './world.js';
-import { createEntitySystem, updateEntities } from './entity.js';
+import { createControls, requestGyroPermission } from './controls.js';
+import { pollGamepad, rumbleGamepad } from './gamepad.js';
+import {
+  ACTIONS,
+  SETTING_LIMITS,
+  loadSettings,
+  saveSettings,
+  resetSettings,
+  setSetting,
+  actionForKey,
+  bindKey,
+  keyLabel
+} from './settings.js';
+import {
+  createWorld,
+  updateWorld,
+  setWorldSeed,
+  setWorldAtmosphere,
+  getWorldLandmarks,
+  setWorldLandmarks,
+  getGroundHeight,
+  moveWithCollisions
+} from './world.js';
+import {
+  createEntitySystem,
+  updateEntities,
+  closeIn,
+  clearEntities,
+  getEntitySaveState,
+  setEntitySaveState
+} from './entity.js';
 import { createAudioSystem } from './audio.js';
+import { createSeed, normalizeSeed } from './seed.js';
+import { createStamina, updateStamina, getStaminaState, setStaminaState } from './stamina.js';
+import { createFlashlight, toggleFlashlight, setFlashlightOn, rechargeFlashlight, updateFlashlight } from './flashlight.js';
+import {
+  createPickupSystem,
+  updatePickups,
+  collectNearest,
+  setPickupKindEnabled,
+  getCollectedPickups,
+  setCollectedPickups
+} from './pickups.js';
+import {
+  createNarrative,
+  loadNarrativeScript,
+  setNarrativeScript,
+  pickLine,
+  updateSubtitle,
+  getDeliveredLines,
+  setDeliveredLines,
+  recallMemory,
+  listMemories,
+  isFullyRemembered,
+  getFoundMemories,
+  setFoundMemories
+} from './narrative.js';
+import {
+  TRAIL_GAP,
+  createTrail,
+  updateTrail,
+  clearTrail,
+  getTrailState,
+  setTrailState,
+  createCompass,
+  updateCompass,
+  compassHeading,
+  bearingTo,
+  wrapDegrees
+} from './navigation.js';
+import { createNightCycle, updateNightCycle, getNightState, setNightState } from './night.js';
+import { SAVE_VERSION, SaveError, parseSave, createSaveFile, readSaveFile } from './save.js';
+import { openSaveStore, migrateLegacySlots } from './storage.js';
+import { createBreakdown, triggerBreakdown, updateBreakdown, isBreakingDown, BREAKDOWN_PHASE } from './breakdown.js';
 
 const canvas = document.getElementById('scene');
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: false, powerPreference: 'high-performance' });
@@ -11,78 +81,172 @@ renderer.setSize(window.innerWidth, window.innerHeight, false);
 renderer.shadowMap.enabled = false;
 
 const scene = new THREE.Scene();
-const camera = new THREE.PerspectiveCamera(65, window.innerWidth / window.innerHeight, 0.1, 80);
+// player settings (bindings, look, fov); edited live from the settings panel
+const settings = loadSettings();
+
+const camera = new THREE.PerspectiveCamera(settings.fov, window.innerWidth / window.innerHeight, 0.1, 80);
 scene.add(camera);
 
 const clock = new THREE.Clock();
 
+// body radius for sliding around trunks
+const PLAYER_RADIUS = 0.3;
+
+// a shared link (?seed=...) drops you into someone else's dream
+const sharedSeed = normalizeSeed(new URLSearchParams(window.location.search).get('seed'));
+
 // world & systems
-const world = createWorld(scene, camera);
-const controls = createControls(camera, renderer.domElement);
+const world = createWorld(scene, camera, sharedSeed || createSeed());
+// sprinting spends it; controls read it to refuse a sprint when he is spent
+const stamina = createStamina();
+const controls = createControls(camera, renderer.domElement, {
+  getGroundHeight: (x, z) => getGroundHeight(world, x, z),
+  resolveMove: (x, z, dx, dz) => moveWithCollisions(world, x, z, dx, dz, PLAYER_RADIUS),
+  settings,
+  stamina,
+  eyeHeight: 1.6,
+  gamepad: {
+    onConnect: () => updateWhisper(0, 'a controller in your hands'),
+    onDisconnect: () => updateWhisper(0, 'the controller slips away')
+  }
+});
 const entities = createEntitySystem(scene, camera);
 const audio = createAudioSystem();
 
-// flashlight attached to the camera
-const flashlight = new THREE.SpotLight(0xfffbe6, 2.4, 18, Math.PI / 7, 0.4, 1.3);
-flashlight.position.set(0, 0, 0);
-flashlight.castShadow = false;
-camera.add(flashlight);
-const flashlightTarget = new THREE.Object3D();
-flashlightTarget.position.set(0, 0, -1);
-camera.add(flashlightTarget);
-flashlight.target = flashlightTarget;
-let flashlightOn = true;
-flashlight.visible = flashlightOn;
+const pickups = createPickupSystem(scene);
+
+// nights get longer in the telling: each one thicker and bolder than the last
+const nightCycle = createNightCycle();
+
+// when focus runs out
+const breakdown = createBreakdown();
+const BREAKDOWN_DISTANCE_KEPT = 0.75; // waking up, a quarter of the walk is gone
+let breakdownVisible = false; // distortion or blackout currently applied to the view
+const HARDCORE_KEY = 'endless_dream_hardcore';
+let hardcore = localStorage.getItem(HARDCORE_KEY) === '1';
+
+// the story script; until it arrives the creatures use their own lines
+const narrative = createNarrative();
+loadNarrativeScript('./narrative.json').then((script) => {
+  if (!script) return;
+  setNarrativeScript(narrative, script);
+  updateMemoryPickups();
+  renderJournal();
+  updateTitleText();
+});
+// until then a page picked up would hold nothing, and be gone for good
+updateMemoryPickups();
+
+// memory fragments fill the journal; once it is full the title screen remembers too
+const REMEMBERED_KEY = 'endless_dream_remembered';
+const INTERACT_REACH = 2.6; // metres: how far he can reach for something
+
+// breadcrumbs behind him, and a compass that is only as steady as he is
+const trail = createTrail();
+const compass = createCompass();
+const COMPASS_PX_PER_DEG = 1.6;
+const MINIMAP_RANGE = 40;       // metres from the centre to the rim
+const MINIMAP_INTERVAL = 0.1;   // seconds between redraws; the forest doesn't move much
+let minimapTimer = 0;
+
+// flashlight attached to the camera, running on a battery
+const flashlight = createFlashlight(camera);
+const BATTERY_PICKUP_CHARGE = 0.5;
 
 window.addEventListener('keydown', (e) => {
-  if (e.key.toLowerCase() === 'f') {
-    flashlightOn = !flashlightOn;
-    flashlight.visible = flashlightOn;
+  if (isTypingTarget(e.target)) return;
+  if (e.repeat || rebindingAction) return;
+  const action = actionForKey(settings, e.key.toLowerCase());
+  if (action === 'flashlight') {
+    toggleFlashlight(flashlight);
+  } else if (action === 'interact') {
+    interact();
+  } else if (action === 'journal') {
+    toggleJournal();
   }
 });
 
+// on touch devices, tap near the top-right corner to toggle flashlight.
+// only a quick tap counts: that corner is also where the view gets dragged
+const cornerTaps = new Map(); // pointer id -> { x, y, time }
 window.addEventListener('pointerdown', (e) => {
-  // on touch devices, tap near the top-right corner to toggle flashlight
-  if (window.innerWidth <= 900) {
-    const xNorm = e.clientX / window.innerWidth;
-    const yNorm = e.clientY / window.innerHeight;
-    if (xNorm > 0.7 && yNorm < 0.3) {
-      flashlightOn = !flashlightOn;
-      flashlight.visible = flashlightOn;
-    }
+  if (window.innerWidth > 900) return;
+  const xNorm = e.clientX / window.innerWidth;
+  const yNorm = e.clientY / window.innerHeight;
+  if (xNorm > 0.7 && yNorm < 0.3) {
+    cornerTaps.set(e.pointerId, { x: e.clientX, y: e.clientY, time: performance.now() });
   }
 });
+window.addEventListener('pointerup', (e) => {
+  const tap = cornerTaps.get(e.pointerId);
+  if (!tap) return;
+  cornerTaps.delete(e.pointerId);
+  const moved = Math.hypot(e.clientX - tap.x, e.clientY - tap.y);
+  if (moved < 12 && performance.now() - tap.time < 300) toggleFlashlight(flashlight);
+});
+window.addEventListener('pointercancel', (e) => cornerTaps.delete(e.pointerId));
 
 const focusFill = document.getElementById('focus-fill');
+const batteryMeterEl = document.getElementById('battery-meter');
+const batteryFill = document.getElementById('battery-fill');
+const staminaMeterEl = document.getElementById('stamina-meter');
+const staminaFill = document.getElementById('stamina-fill');
 const whisperEl = document.getElementById('whisper');
 const statsStepsEl = document.getElementById('stats-steps');
 const statsMilesEl = document.getElementById('stats-miles');
+const statsHomeEl = document.getElementById('stats-home');
+const compassStripEl = document.getElementById('compass-strip');
+const compassHomeEl = document.getElementById('compass-home');
+const minimapEl = document.getElementById('minimap');
 const hudTitleEl = document.getElementById('hud-title');
+const hudSubEl = document.getElementById('hud-sub');
+const hudEl = document.getElementById('hud');
+const blackoutEl = document.getElementById('blackout');
+const gameSubtitleEl = document.getElementById('game-subtitle');
+
+// JOURNAL UI ELEMENTS
+const journalToggleEl = document.getElementById('journal-toggle');
+const journalPanelEl = document.getElementById('journal-panel');
+const journalCloseEl = document.getElementById('journal-panel-close');
+const journalListEl = document.getElementById('journal-list');
+const journalCountEl = document.getElementById('journal-count');
+
+// SETTINGS UI ELEMENTS
+const settingsToggleEl = document.getElementById('settings-toggle');
+const settingsPanelEl = document.getElementById('settings-panel');
+const settingsCloseEl = document.getElementById('settings-panel-close');
+const bindingListEl = document.getElementById('binding-list');
+const sensitivityEl = document.getElementById('setting-sensitivity');
+const sensitivityValueEl = document.getElementById('setting-sensitivity-value');
+const invertYEl = document.getElementById('setting-invert-y');
+const minimapSettingEl = document.getElementById('setting-minimap');
+const touchSensitivityEl = document.getElementById('setting-touch');
+const touchSensitivityValueEl = document.getElementById('setting-touch-value');
+const gyroEl = document.getElementById('setting-gyro');
+const gyroMetaEl = document.getElementById('setting-gyro-meta');
+const fovEl = document.getElementById('setting-fov');
+const fovValueEl = document.getElementById('setting-fov-value');
+const deadzoneEl = document.getElementById('setting-deadzone');
+const deadzoneValueEl = document.getElementById('setting-deadzone-value');
+const curveEl = document.getElementById('setting-curve');
+const curveValueEl = document.getElementById('setting-curve-value');
+const settingsResetEl = document.getElementById('settings-reset');
+const hardcoreToggleEl = document.getElementById('hardcore-toggle');
 
 // SAVE / LOAD UI ELEMENTS
 const saveLoadToggleEl = document.getElementById('save-load-toggle');
 const saveLoadPanelEl = document.getElementById('save-load-panel');
 const saveLoadCloseEl = document.getElementById('save-load-panel-close');
-const slotStatusEls = {
-  1: document.getElementById('slot1-status'),
-  2: document.getElementById('slot2-status'),
-  3: document.getElementById('slot3-status')
-};
-const slotMetaEls = {
-  1: document.getElementById('slot1-meta'),
-  2: document.getElementById('slot2-meta'),
-  3: document.getElementById('slot3-meta')
-};
-const slotSaveBtns = {
-  1: document.getElementById('slot1-save'),
-  2: document.getElementById('slot2-save'),
-  3: document.getElementById('slot3-save')
-};
-const slotLoadBtns = {
-  1: document.getElementById('slot1-load'),
-  2: document.getElementById('slot2-load'),
-  3: document.getElementById('slot3-load')
-};
+const slotListEl = document.getElementById('slot-list');
+const newSlotNameEl = document.getElementById('new-slot-name');
+const newSlotSaveBtn = document.getElementById('new-slot-save');
+const newSlotImportBtn = document.getElementById('new-slot-import');
+const saveImportFileEl = document.getElementById('save-import-file');
+
+const seedCodeEl = document.getElementById('seed-code');
+const seedInputEl = document.getElementById('seed-input');
+const seedShareBtn = document.getElementById('seed-share');
+const seedWalkBtn = document.getElementById('seed-walk');
 
 // INTRO / TITLE OVERLAY ELEMENTS
 const overlayEl = document.getElementById('overlay');
@@ -92,9 +256,10 @@ const loadingFillEl = document.getElementById('loading-fill');
 
 let focus = 1;              // 0..1 – Jafet’s mental resistance
 let whisperTimer = 0;
+let heldBreath = false;      // was the breath held last frame
 
-// FPS-style head bobbing
-let baseEyeHeight = camera.position.y || 1.6;
+// FPS-style head bobbing; eye height is measured from the ground under the player
+const baseEyeHeight = 1.6;
 let bobTime = 0;
 let bobOffset = 0;
 
@@ -107,40 +272,90 @@ const lastPos = new THREE.Vector3().copy(camera.position);
 let totalDistanceMeters = 0;
 
 // SAVE / LOAD HELPERS
-const SAVE_KEY_PREFIX = 'endless_dream_slot_';
 const AUTOSAVE_KEY = 'endless_dream_autosave';
+const THUMB_WIDTH = 160;
+const THUMB_HEIGHT = 90;
 
-function getSlotKey(slot) {
-  return `${SAVE_KEY_PREFIX}${slot}`;
-}
+// named slots live in IndexedDB; the old numbered localStorage slots move over on first open
+const saveStorePromise = openSaveStore()
+  .then(async (store) => {
+    // a slot that won't move is left where it was; the store itself still works
+    try {
+      await migrateLegacySlots(store);
+    } catch (err) {
+      console.error('Failed to move old save slots', err);
+    }
+    return store;
+  })
+  .catch((err) => {
+    console.error('Save slots unavailable', err);
+    return null;
+  });
 
 function serializeState() {
   return {
-    camera: {
+    version: SAVE_VERSION,
+    timestamp: Date.now(),
+    seed: world.seed,
+    player: {
       x: camera.position.x,
       y: camera.position.y,
       z: camera.position.z,
-      rotX: camera.rotation.x,
-      rotY: camera.rotation.y,
-      rotZ: camera.rotation.z
+      yaw: camera.rotation.y,
+      pitch: camera.rotation.x
     },
-    flashlightOn,
+    focus,
     totalDistanceMeters,
-    timestamp: Date.now()
+    flashlight: { on: flashlight.on, battery: flashlight.battery },
+    stamina: getStaminaState(stamina),
+    night: getNightState(nightCycle),
+    entities: getEntitySaveState(entities),
+    pickups: getCollectedPickups(pickups),
+    narrative: getDeliveredLines(narrative),
+    memories: getFoundMemories(narrative),
+    breakdowns: breakdown.count,
+    landmarks: getWorldLandmarks(world),
+    trail: getTrailState(trail)
   };
 }
 
+// state must come out of parseSave: migrated and validated
 function applyState(state) {
-  if (!state || !state.camera) return;
-  camera.position.set(state.camera.x, state.camera.y, state.camera.z);
-  camera.rotation.set(state.camera.rotX, state.camera.rotY, state.camera.rotZ);
-  flashlightOn = !!state.flashlightOn;
-  flashlight.visible = flashlightOn;
-  totalDistanceMeters = state.totalDistanceMeters || 0;
+  // older saves have no seed; they keep whatever forest is already around
+  const seed = normalizeSeed(state.seed);
+  if (seed) setWorldSeed(world, seed);
+  updateSeedUI();
+  setWorldLandmarks(world, state.landmarks);
+  setTrailState(trail, state.trail);
+  camera.position.set(state.player.x, state.player.y, state.player.z);
+  controls.setLook(state.player.yaw, state.player.pitch);
+  focus = state.focus;
+  flashlight.battery = state.flashlight.battery;
+  setFlashlightOn(flashlight, state.flashlight.on);
+  setStaminaState(stamina, state.stamina);
+  setCollectedPickups(pickups, state.pickups, world.seed);
+  setDeliveredLines(narrative, state.narrative);
+  setFoundMemories(narrative, state.memories);
+  updateMemoryPickups();
+  renderJournal();
+  setEntitySaveState(entities, state.entities);
+  setNightState(nightCycle, state.night);
+  breakdown.count = state.breakdowns;
+  updateNightDisplay();
+  updateBatteryDisplay();
+  updateStaminaDisplay();
+  totalDistanceMeters = state.totalDistanceMeters;
   lastPos.set(camera.position.x, camera.position.y, camera.position.z);
   updateStatsDisplay();
 }
 
+// save errors say what was wrong with the save; anything else (storage, the
+// browser) is passed on as it is rather than blamed on the file
+function describeSaveError(err) {
+  if (err instanceof SaveError) return err.message;
+  return (err && err.message) || 'something went wrong';
+}
+
 function formatTimestamp(ts) {
   const d = new Date(ts);
   if (Number.isNaN(d.getTime())) return 'unknown';
@@ -149,49 +364,144 @@ function formatTimestamp(ts) {
   return `${hh}:${mm}`;
 }
 
-function updateSlotUI(slot) {
-  const key = getSlotKey(slot);
-  const raw = localStorage.getItem(key);
-  const statusEl = slotStatusEls[slot];
-  const metaEl = slotMetaEls[slot];
-  const loadBtn = slotLoadBtns[slot];
+// SLOT LIST
+async function renderSlotList(message) {
+  if (!slotListEl) return;
+  const store = await saveStorePromise;
+  slotListEl.textContent = '';
+  if (!store) {
+    slotListEl.appendChild(createSlotEmpty('slots unavailable in this browser'));
+    return;
+  }
+  let records;
+  try {
+    records = await store.list();
+  } catch (err) {
+    console.error('Failed to list save slots', err);
+    slotListEl.appendChild(createSlotEmpty(`slots unavailable: ${describeSaveError(err)}`));
+    return;
+  }
+  if (message) slotListEl.appendChild(createSlotEmpty(message));
+  if (!records.length) {
+    slotListEl.appendChild(createSlotEmpty('no saved dreams yet'));
+    return;
+  }
+  for (const record of records) slotListEl.appendChild(createSlotRow(record));
+}
 
-  if (!statusEl || !metaEl || !loadBtn) return;
+function createSlotEmpty(text) {
+  const el = document.createElement('div');
+  el.className = 'slot-empty';
+  el.textContent = text;
+  return el;
+}
 
-  if (!raw) {
-    statusEl.textContent = 'empty';
-    metaEl.textContent = 'no steps yet';
-    loadBtn.disabled = true;
-    return;
+function createSlotRow(record) {
+  const row = document.createElement('div');
+  row.className = 'slot-row';
+  row.dataset.slot = record.id;
+
+  if (record.thumbnail) {
+    const thumb = document.createElement('img');
+    thumb.className = 'slot-thumb';
+    thumb.src = record.thumbnail;
+    thumb.alt = '';
+    row.appendChild(thumb);
   }
+
+  const title = document.createElement('div');
+  title.className = 'slot-title';
+  const name = document.createElement('span');
+  name.textContent = record.name;
+  const status = document.createElement('span');
+  status.className = 'slot-status';
+  title.append(name, status);
+
+  const meta = document.createElement('div');
+  meta.className = 'slot-meta';
+
+  let valid = true;
   try {
-    const data = JSON.parse(raw);
-    const dist = data.totalDistanceMeters || 0;
+    const data = parseSave(record.data);
+    const dist = data.totalDistanceMeters;
     const miles = dist * 0.000621371;
     const stepLengthMeters = 0.8;
     const steps = dist / stepLengthMeters;
-    statusEl.textContent = `saved · ${formatTimestamp(data.timestamp)}`;
-    metaEl.textContent = `${Math.floor(steps)} steps · ${miles.toFixed(2)} miles`;
-    loadBtn.disabled = false;
-  } catch {
-    statusEl.textContent = 'corrupt';
-    metaEl.textContent = 'cannot load';
-    loadBtn.disabled = true;
+    status.textContent = `saved · ${formatTimestamp(data.timestamp)}`;
+    meta.textContent = `${Math.floor(steps)} steps · ${miles.toFixed(2)} miles · night ${data.night.night}`;
+  } catch (err) {
+    valid = false;
+    status.textContent = 'corrupt';
+    meta.textContent = describeSaveError(err);
   }
+
+  const actions = document.createElement('div');
+  actions.className = 'slot-actions';
+  actions.append(
+    createSlotButton('Save', false, () => saveToSlot(record.id)),
+    createSlotButton('Load', true, () => loadFromSlot(record.id), !valid)
+  );
+  const manage = document.createElement('div');
+  manage.className = 'slot-actions';
+  manage.append(
+    createSlotButton('Export', true, () => exportSlot(record.id), !valid),
+    createSlotButton('Rename', true, () => renameSlot(record.id, record.name)),
+    createSlotButton('Delete', true, () => deleteSlot(record.id, record.name))
+  );
+
+  row.append(title, meta, actions, manage);
+  return row;
 }
 
-function refreshAllSlotsUI() {
-  [1, 2, 3].forEach(updateSlotUI);
+function createSlotButton(label, secondary, onClick, disabled = false) {
+  const btn = document.createElement('button');
+  btn.className = secondary ? 'slot-btn secondary' : 'slot-btn';
+  btn.textContent = label;
+  btn.disabled = disabled;
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return btn;
 }
 
-function saveToSlot(slot) {
+// a small still of what Jafet is looking at. the drawing buffer is only
+// readable right after a render, so draw a fresh frame first
+function captureThumbnail() {
   try {
-    const key = getSlotKey(slot);
-    const data = serializeState();
-    localStorage.setItem(key, JSON.stringify(data));
-    updateSlotUI(slot);
+    renderer.render(scene, camera);
+    const thumb = document.createElement('canvas');
+    thumb.width = THUMB_WIDTH;
+    thumb.height = THUMB_HEIGHT;
+    const ctx2d = thumb.getContext('2d');
+    // crop the middle of the view to 16:9
+    const src = renderer.domElement;
+    const srcH = Math.min(src.height, (src.width * THUMB_HEIGHT) / THUMB_WIDTH);
+    const srcW = (srcH * THUMB_WIDTH) / THUMB_HEIGHT;
+    ctx2d.drawImage(src, (src.width - srcW) / 2, (src.height - srcH) / 2, srcW, srcH, 0, 0, THUMB_WIDTH, THUMB_HEIGHT);
+    return thumb.toDataURL('image/jpeg', 0.7);
+  } catch (err) {
+    console.warn('Thumbnail capture failed', err);
+    return '';
+  }
+}
+
+// id: overwrite that slot; no id: a new one
+async function saveToSlot(id, name) {
+  try {
+    const store = await saveStorePromise;
+    if (!store) return;
+    const existing = id ? await store.get(id) : null;
+    await store.put({
+      id,
+      name: name || (existing && existing.name) || `night ${nightCycle.night} · ${world.seed}`,
+      thumbnail: captureThumbnail(),
+      data: JSON.stringify(serializeState())
+    });
+    await renderSlotList();
   } catch (err) {
-    console.error('Failed to save slot', slot, err);
+    console.error('Failed to save slot', id, err);
+    await renderSlotList('save failed');
   }
 }
 
@@ -209,28 +519,140 @@ function loadAutoSave() {
   try {
     const raw = localStorage.getItem(AUTOSAVE_KEY);
     if (!raw) return false;
-    const data = JSON.parse(raw);
-    applyState(data);
+    applyState(parseSave(raw));
     console.log('Auto-loaded previous progress');
     return true;
   } catch (err) {
-    console.error('Auto-load failed', err);
+    // a bad autosave is left alone so it can still be recovered by hand
+    console.error(`Auto-load failed: ${describeSaveError(err)}`, err);
     return false;
   }
 }
 
-function loadFromSlot(slot) {
+async function loadFromSlot(id) {
+  try {
+    const store = await saveStorePromise;
+    const record = store && (await store.get(id));
+    if (!record) return;
+    applyState(parseSave(record.data));
+  } catch (err) {
+    console.error('Failed to load slot', id, err);
+    await renderSlotList(`load failed: ${describeSaveError(err)}`);
+  }
+}
+
+async function renameSlot(id, current) {
+  const name = window.prompt('Name this dream', current);
+  if (!name || !name.trim()) return;
+  try {
+    const store = await saveStorePromise;
+    if (!store) return;
+    await store.rename(id, name.trim().slice(0, 40));
+    await renderSlotList();
+  } catch (err) {
+    console.error('Failed to rename slot', id, err);
+    await renderSlotList(`rename failed: ${describeSaveError(err)}`);
+  }
+}
+
+async function deleteSlot(id, name) {
+  if (!window.confirm(`Forget "${name}"?`)) return;
+  try {
+    const store = await saveStorePromise;
+    if (!store) return;
+    await store.remove(id);
+    await renderSlotList();
+  } catch (err) {
+    console.error('Failed to delete slot', id, err);
+    await renderSlotList(`delete failed: ${describeSaveError(err)}`);
+  }
+}
+
+// SAVE FILES: carry a slot to another browser (or attach it to a bug report)
+async function exportSlot(id) {
   try {
-    const key = getSlotKey(slot);
-    const raw = localStorage.getItem(key);
-    if (!raw) return;
-    const data = JSON.parse(raw);
-    applyState(data);
+    const store = await saveStorePromise;
+    const record = store && (await store.get(id));
+    if (!record) return;
+    const save = parseSave(record.data);
+    const text = await createSaveFile(save);
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    const fileName = record.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'dream';
+    link.download = `endless-dream-${fileName}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   } catch (err) {
-    console.error('Failed to load slot', slot, err);
+    console.error('Failed to export slot', id, err);
+    await renderSlotList(`export failed: ${describeSaveError(err)}`);
   }
 }
 
+function chooseImportFile() {
+  if (!saveImportFileEl) return;
+  saveImportFileEl.value = '';
+  saveImportFileEl.click();
+}
+
+// an imported file always becomes a new slot, named after the file
+async function importSaveFile(file) {
+  try {
+    const save = await readSaveFile(await file.text());
+    const store = await saveStorePromise;
+    if (!store) return;
+    await store.put({
+      name: file.name.replace(/\.json$/i, '').slice(0, 40),
+      updatedAt: Date.now(),
+      data: JSON.stringify(save)
+    });
+    await renderSlotList();
+  } catch (err) {
+    console.error('Failed to import save', err);
+    await renderSlotList(`import failed: ${describeSaveError(err)}`);
+  }
+}
+
+// SEED HELPERS
+function isTypingTarget(target) {
+  return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA');
+}
+
+function getShareLink(seed) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('seed', seed);
+  return url.toString();
+}
+
+function updateSeedUI(message) {
+  if (seedCodeEl) seedCodeEl.textContent = message || world.seed;
+}
+
+// wake at the origin of another dream so both walkers start side by side
+function walkSeed(seed) {
+  setWorldSeed(world, seed);
+  camera.position.set(0, getGroundHeight(world, 0, 0) + baseEyeHeight, 0);
+  lastPos.set(camera.position.x, camera.position.y, camera.position.z);
+  clearTrail(trail);
+  updateSeedUI();
+}
+
+async function shareSeed() {
+  const link = getShareLink(world.seed);
+  try {
+    await navigator.clipboard.writeText(link);
+    updateSeedUI('link copied');
+  } catch {
+    // clipboard can be blocked (http, iframes); let the player copy it by hand
+    window.prompt('Share this dream', link);
+  }
+  setTimeout(() => updateSeedUI(), 1600);
+}
+
 // fake-progress loading bar for dreamy intro
 let fakeLoadStart = performance.now();
 let fakeLoadDuration = 2600;
@@ -262,6 +684,12 @@ updateLoadingBar();
 // Auto-load progress when page loads
 loadAutoSave();
 
+// a shared seed wins over the autosaved forest
+if (sharedSeed && sharedSeed !== world.seed) {
+  walkSeed(sharedSeed);
+}
+updateSeedUI();
+
 // Auto-save every 10 seconds
 let autoSaveTimer = 0;
 const AUTO_SAVE_INTERVAL = 10; // seconds
@@ -304,7 +732,7 @@ if (saveLoadToggleEl && saveLoadPanelEl) {
     if (isVisible) {
       saveLoadPanelEl.classList.remove('visible');
     } else {
-      refreshAllSlotsUI();
+      renderSlotList();
       saveLoadPanelEl.classList.add('visible');
     }
   });
@@ -329,26 +757,350 @@ if (saveLoadToggleEl && saveLoadPanelEl) {
     saveLoadPanelEl.classList.remove('visible');
   });
 
-  [1, 2, 3].forEach((slot) => {
-    const saveBtn = slotSaveBtns[slot];
-    const loadBtn = slotLoadBtns[slot];
-    if (saveBtn) {
-      saveBtn.addEventListener('click', (e) => {
+  if (newSlotSaveBtn) {
+    newSlotSaveBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const name = newSlotNameEl ? newSlotNameEl.value.trim().slice(0, 40) : '';
+      if (newSlotNameEl) newSlotNameEl.value = '';
+      saveToSlot(null, name);
+    });
+  }
+  if (newSlotNameEl && newSlotSaveBtn) {
+    newSlotNameEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') newSlotSaveBtn.click();
+    });
+  }
+
+  if (newSlotImportBtn) {
+    newSlotImportBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      chooseImportFile();
+    });
+  }
+
+  if (saveImportFileEl) {
+    saveImportFileEl.addEventListener('change', () => {
+      const file = saveImportFileEl.files && saveImportFileEl.files[0];
+      if (file) importSaveFile(file);
+    });
+  }
+
+  if (seedShareBtn) {
+    seedShareBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      shareSeed();
+    });
+  }
+
+  if (seedWalkBtn && seedInputEl) {
+    seedWalkBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const seed = normalizeSeed(seedInputEl.value);
+      if (!seed) return;
+      seedInputEl.value = '';
+      walkSeed(seed);
+    });
+    seedInputEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') seedWalkBtn.click();
+    });
+  }
+
+  if (hardcoreToggleEl) {
+    hardcoreToggleEl.checked = hardcore;
+    hardcoreToggleEl.addEventListener('change', () => {
+      hardcore = hardcoreToggleEl.checked;
+      localStorage.setItem(HARDCORE_KEY, hardcore ? '1' : '0');
+    });
+  }
+
+  // init slot list (this also finishes moving any old localStorage slots)
+  renderSlotList();
+}
+
+// SETTINGS PANEL
+let rebindingAction = null; // action waiting for its new key
+
+function renderSettings() {
+  if (bindingListEl) {
+    bindingListEl.textContent = '';
+    for (const { id, label } of ACTIONS) {
+      const row = document.createElement('div');
+      row.className = 'slot-row';
+      const title = document.createElement('div');
+      title.className = 'slot-title';
+      const name = document.createElement('span');
+      name.textContent = label;
+      const alternates = document.createElement('span');
+      alternates.className = 'slot-status';
+      alternates.textContent = settings.bindings[id].slice(1).map(keyLabel).join(' · ');
+      title.append(name, alternates);
+      const actions = document.createElement('div');
+      actions.className = 'slot-actions';
+      const btn = document.createElement('button');
+      const listening = rebindingAction === id;
+      btn.className = listening ? 'slot-btn listening' : 'slot-btn';
+      btn.textContent = listening ? 'press a key (esc cancels)' : keyLabel(settings.bindings[id][0]);
+      btn.addEventListener('click', (e) => {
         e.stopPropagation();
-        saveToSlot(slot);
+        rebindingAction = listening ? null : id;
+        renderSettings();
       });
+      actions.appendChild(btn);
+      row.append(title, actions);
+      bindingListEl.appendChild(row);
     }
-    if (loadBtn) {
-      loadBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        loadFromSlot(slot);
-        // keep panel open so user can see they're loaded
-      });
+  }
+  if (sensitivityEl) {
+    sensitivityEl.min = SETTING_LIMITS.lookSensitivity[0];
+    sensitivityEl.max = SETTING_LIMITS.lookSensitivity[1];
+    sensitivityEl.value = settings.lookSensitivity;
+  }
+  if (sensitivityValueEl) sensitivityValueEl.textContent = (settings.lookSensitivity / 0.0022).toFixed(2) + '×';
+  if (touchSensitivityEl) {
+    touchSensitivityEl.min = SETTING_LIMITS.touchSensitivity[0];
+    touchSensitivityEl.max = SETTING_LIMITS.touchSensitivity[1];
+    touchSensitivityEl.value = settings.touchSensitivity;
+  }
+  if (touchSensitivityValueEl) touchSensitivityValueEl.textContent = `${settings.touchSensitivity.toFixed(2)}×`;
+  if (gyroEl) gyroEl.checked = settings.gyroAim;
+  if (invertYEl) invertYEl.checked = settings.invertY;
+  if (minimapSettingEl) minimapSettingEl.checked = settings.minimap;
+  if (fovEl) {
+    fovEl.min = SETTING_LIMITS.fov[0];
+    fovEl.max = SETTING_LIMITS.fov[1];
+    fovEl.value = settings.fov;
+  }
+  if (fovValueEl) fovValueEl.textContent = `${settings.fov}°`;
+  if (deadzoneEl) {
+    deadzoneEl.min = SETTING_LIMITS.gamepadDeadzone[0];
+    deadzoneEl.max = SETTING_LIMITS.gamepadDeadzone[1];
+    deadzoneEl.value = settings.gamepadDeadzone;
+  }
+  if (deadzoneValueEl) deadzoneValueEl.textContent = `${Math.round(settings.gamepadDeadzone * 100)}%`;
+  if (curveEl) {
+    curveEl.min = SETTING_LIMITS.gamepadCurve[0];
+    curveEl.max = SETTING_LIMITS.gamepadCurve[1];
+    curveEl.value = settings.gamepadCurve;
+  }
+  if (curveValueEl) curveValueEl.textContent = settings.gamepadCurve.toFixed(1);
+}
+
+function applySettings() {
+  camera.fov = settings.fov;
+  camera.updateProjectionMatrix();
+  updateMinimapVisibility();
+  saveSettings(settings);
+  renderSettings();
+}
+
+// while waiting for a key, grab it before controls or the flashlight see it
+window.addEventListener('keydown', (e) => {
+  if (!rebindingAction) return;
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  const key = e.key.toLowerCase();
+  if (key !== 'escape') bindKey(settings, rebindingAction, key);
+  rebindingAction = null;
+  applySettings();
+}, true);
+
+if (settingsToggleEl && settingsPanelEl) {
+  settingsToggleEl.addEventListener('click', (e) => {
+    e.stopPropagation();
+    rebindingAction = null;
+    renderSettings();
+    settingsPanelEl.classList.toggle('visible');
+    if (saveLoadPanelEl) saveLoadPanelEl.classList.remove('visible');
+  });
+  if (settingsCloseEl) {
+    settingsCloseEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      rebindingAction = null;
+      settingsPanelEl.classList.remove('visible');
+    });
+  }
+  document.addEventListener('pointerdown', (e) => {
+    if (!settingsPanelEl.classList.contains('visible')) return;
+    if (settingsPanelEl.contains(e.target) || e.target === settingsToggleEl) return;
+    rebindingAction = null;
+    settingsPanelEl.classList.remove('visible');
+  });
+  if (sensitivityEl) {
+    sensitivityEl.addEventListener('input', () => {
+      setSetting(settings, 'lookSensitivity', sensitivityEl.value);
+      applySettings();
+    });
+  }
+  if (touchSensitivityEl) {
+    touchSensitivityEl.addEventListener('input', () => {
+      setSetting(settings, 'touchSensitivity', touchSensitivityEl.value);
+      applySettings();
+    });
+  }
+  if (gyroEl) {
+    gyroEl.addEventListener('change', async () => {
+      // the permission prompt has to come from this tap
+      const allowed = !gyroEl.checked || (await requestGyroPermission());
+      setSetting(settings, 'gyroAim', gyroEl.checked && allowed);
+      if (gyroMetaEl) gyroMetaEl.textContent = allowed ? 'turn the phone to look around' : 'motion access was refused';
+      applySettings();
+    });
+  }
+  if (invertYEl) {
+    invertYEl.addEventListener('change', () => {
+      setSetting(settings, 'invertY', invertYEl.checked);
+      applySettings();
+    });
+  }
+  if (deadzoneEl) {
+    deadzoneEl.addEventListener('input', () => {
+      setSetting(settings, 'gamepadDeadzone', deadzoneEl.value);
+      applySettings();
+    });
+  }
+  if (curveEl) {
+    curveEl.addEventListener('input', () => {
+      setSetting(settings, 'gamepadCurve', curveEl.value);
+      applySettings();
+    });
+  }
+  if (minimapSettingEl) {
+    minimapSettingEl.addEventListener('change', () => {
+      setSetting(settings, 'minimap', minimapSettingEl.checked);
+      applySettings();
+    });
+  }
+  if (fovEl) {
+    fovEl.addEventListener('input', () => {
+      setSetting(settings, 'fov', fovEl.value);
+      applySettings();
+    });
+  }
+  if (settingsResetEl) {
+    settingsResetEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      rebindingAction = null;
+      resetSettings(settings);
+      applySettings();
+    });
+  }
+}
+
+// PICKUPS / MEMORIES
+function onPickup(kind) {
+  if (kind === 'battery') {
+    rechargeFlashlight(flashlight, BATTERY_PICKUP_CHARGE);
+  } else if (kind === 'memory') {
+    const memory = recallMemory(narrative);
+    if (!memory) return;
+    updateWhisper(0, memory.title);
+    renderJournal();
+    if (journalToggleEl) journalToggleEl.classList.add('unread');
+    if (isFullyRemembered(narrative)) onFullyRemembered();
+  }
+}
+
+// reach for whatever lies just ahead
+function interact() {
+  if (!gameStarted || isBreakingDown(breakdown)) return;
+  const kind = collectNearest(pickups, camera, INTERACT_REACH);
+  if (kind) onPickup(kind);
+}
+
+// the last piece: it speaks up, and the title screen won't forget
+function onFullyRemembered() {
+  updateMemoryPickups();
+  const line = narrative.remembered && narrative.remembered.whisper;
+  if (line) {
+    updateWhisper(0, line);
+    // from right behind him
+    const p = camera.position;
+    audio.whisper(line, p.x + Math.sin(camera.rotation.y) * 2, p.y, p.z + Math.cos(camera.rotation.y) * 2, 0);
+  }
+  localStorage.setItem(REMEMBERED_KEY, '1');
+  updateTitleText();
+}
+
+// no more pages once there is nothing left to find, or before the script says what they hold
+function updateMemoryPickups() {
+  setPickupKindEnabled(pickups, 'memory', narrative.memories.length > 0 && !isFullyRemembered(narrative));
+}
+
+function updateTitleText() {
+  if (!gameSubtitleEl || localStorage.getItem(REMEMBERED_KEY) !== '1') return;
+  if (narrative.remembered && narrative.remembered.title) gameSubtitleEl.textContent = narrative.remembered.title;
+}
+
+// JOURNAL
+function renderJournal() {
+  if (!journalListEl) return;
+  const memories = listMemories(narrative);
+  journalListEl.textContent = '';
+  if (!memories.length) {
+    const empty = document.createElement('div');
+    empty.className = 'slot-empty';
+    empty.textContent = 'nothing yet';
+    journalListEl.appendChild(empty);
+  }
+  for (const memory of memories) {
+    const row = document.createElement('div');
+    row.className = memory.found ? 'slot-row journal-entry' : 'slot-row journal-entry missing';
+    const title = document.createElement('div');
+    title.className = 'slot-title';
+    title.textContent = memory.found ? memory.title : '· · ·';
+    row.appendChild(title);
+    if (memory.found) {
+      const text = document.createElement('div');
+      text.className = 'slot-meta';
+      text.textContent = memory.text;
+      row.appendChild(text);
     }
+    journalListEl.appendChild(row);
+  }
+  if (journalCountEl) journalCountEl.textContent = `${narrative.found.size} / ${memories.length}`;
+}
+
+function toggleJournal() {
+  if (!journalPanelEl) return;
+  const opening = !journalPanelEl.classList.contains('visible');
+  journalPanelEl.classList.toggle('visible', opening);
+  if (!opening) return;
+  renderJournal();
+  if (journalToggleEl) journalToggleEl.classList.remove('unread');
+  if (saveLoadPanelEl) saveLoadPanelEl.classList.remove('visible');
+  if (settingsPanelEl) settingsPanelEl.classList.remove('visible');
+}
+
+if (journalToggleEl && journalPanelEl) {
+  journalToggleEl.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleJournal();
+  });
+  if (journalCloseEl) {
+    journalCloseEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      journalPanelEl.classList.remove('visible');
+    });
+  }
+  document.addEventListener('pointerdown', (e) => {
+    if (!journalPanelEl.classList.contains('visible')) return;
+    if (journalPanelEl.contains(e.target) || journalToggleEl.contains(e.target)) return;
+    journalPanelEl.classList.remove('visible');
   });
+}
 
-  // init slot UI from existing localStorage
-  refreshAllSlotsUI();
+// GAMEPAD
+function onGamepadAction(action) {
+  if (action === 'confirm') {
+    if (gameStarted) interact();
+    else if (loadingDone) startGame();
+  } else if (action === 'journal') {
+    if (gameStarted) toggleJournal();
+  } else if (action === 'flashlight') {
+    if (gameStarted) toggleFlashlight(flashlight);
+  } else if (action === 'menu') {
+    if (saveLoadPanelEl && saveLoadToggleEl) saveLoadToggleEl.click();
+  }
 }
 
 function resize() {
@@ -360,14 +1112,21 @@ function resize() {
 }
 window.addEventListener('resize', resize);
 
-function updateFocus(dt, threat) {
-  const drain = 0.003 + threat * 0.03;
-  const regen = 0.008;
-  if (threat > 0.1) {
+function updateFocus(dt, threat, holdingBreath) {
+  // nothing to hold on to until he wakes
+  if (isBreakingDown(breakdown)) return;
+  // gasping for air leaves little room to keep the mind steady
+  const winded = stamina.exhausted ? 1 : 0;
+  // and holding it in has a price of its own
+  const held = holdingBreath ? 1 : 0;
+  const drain = 0.003 + threat * 0.03 + winded * 0.004 + held * 0.003;
+  const regen = 0.008 * (1 - winded * 0.6);
+  if (threat > 0.1 || winded || held) {
     focus = Math.max(0, focus - drain * dt * 60);
   } else {
     focus = Math.min(1, focus + regen * dt * 60);
   }
+  if (focus <= 0 && gameStarted) triggerBreakdown(breakdown);
   focusFill.style.transform = `scaleX(${focus.toFixed(3)})`;
   if (focus < 0.25) {
     focusFill.style.background = 'linear-gradient(90deg,#ff3b5b,#ffb36b)';
@@ -376,6 +1135,21 @@ function updateFocus(dt, threat) {
   }
 }
 
+function updateBatteryDisplay() {
+  if (!batteryFill || !batteryMeterEl) return;
+  batteryFill.style.transform = `scaleX(${flashlight.battery.toFixed(3)})`;
+  batteryMeterEl.classList.toggle('low', flashlight.battery < 0.25);
+  batteryMeterEl.classList.toggle('off', !flashlight.on);
+}
+
+function updateStaminaDisplay() {
+  if (!staminaFill || !staminaMeterEl) return;
+  staminaFill.style.transform = `scaleX(${stamina.level.toFixed(3)})`;
+  staminaMeterEl.classList.toggle('exhausted', stamina.exhausted);
+  // a full pool says nothing worth showing
+  staminaMeterEl.classList.toggle('full', stamina.level >= 1 && !stamina.exhausted);
+}
+
 function updateWhisper(dt, text) {
   whisperTimer -= dt;
   if (text) {
@@ -390,21 +1164,147 @@ function updateWhisper(dt, text) {
   }
 }
 
+// lets the HUD styles react to what the nearest creature is doing
+function updateEntityHud(behavior, archetype) {
+  if (!hudEl) return;
+  if (hudEl.dataset.entity !== behavior) hudEl.dataset.entity = behavior;
+  const creature = archetype || 'none';
+  if (hudEl.dataset.creature !== creature) hudEl.dataset.creature = creature;
+}
+
 function updateHeadBob(dt, moveInfo) {
   const intensity = moveInfo?.moveIntensity || 0;
   const sprinting = !!(moveInfo && moveInfo.isSprinting);
 
   if (intensity > 0.001) {
     const freq = sprinting ? 3.2 : 2.1;
+    const lastStep = Math.floor(bobTime + 0.25);
     bobTime += dt * freq;
     const amp = sprinting ? 0.055 : 0.035;
     bobOffset = Math.sin(bobTime * Math.PI * 2) * amp * intensity;
+    // a foot lands at the bottom of each bob
+    if (Math.floor(bobTime + 0.25) > lastStep) playFootsteps(sprinting, intensity);
   } else {
     // dampen bob when stopping
     bobOffset *= 0.88;
   }
 
-  camera.position.y = baseEyeHeight + bobOffset;
+  const eyeY = moveInfo?.eyeY ?? getGroundHeight(world, camera.position.x, camera.position.z) + baseEyeHeight;
+  camera.position.y = eyeY + bobOffset;
+}
+
+function playFootsteps(sprinting, intensity) {
+  audio.footstep(sprinting, intensity);
+  // whatever walks in step with the player never quite keeps the beat
+  for (const inst of entities.instances) {
+    if (!inst.echoSteps) continue;
+    const pos = inst.object.position;
+    audio.echoStep(pos.x, pos.y, pos.z, sprinting, 0.08 + Math.random() * 0.18);
+  }
+}
+
+// BREAKDOWN
+function updateBreakdownSequence(dt) {
+  const entered = updateBreakdown(breakdown, dt);
+
+  if (entered === BREAKDOWN_PHASE.CLOSING) {
+    // the light gives out and it comes for him
+    setFlashlightOn(flashlight, false);
+    const inst = closeIn(entities, camera, focus, { world, flashlight, pickWhisper });
+    if (inst && inst.whisper) {
+      updateWhisper(0, inst.whisper);
+      const pos = inst.object.position;
+      audio.whisper(inst.whisper, pos.x, pos.y, pos.z, 0);
+    }
+  } else if (entered === BREAKDOWN_PHASE.BLACKOUT) {
+    wakeElsewhere();
+  } else if (entered === BREAKDOWN_PHASE.NONE) {
+    updateWhisper(0, hardcore ? 'a different dream' : 'you don’t remember walking here');
+    autoSave();
+  }
+
+  const { distortion, darkness } = breakdown;
+  if (!isBreakingDown(breakdown) && distortion === 0 && darkness === 0) {
+    // put the picture back once, then leave the canvas and camera alone
+    if (breakdownVisible) clearBreakdownVisuals();
+    return;
+  }
+  breakdownVisible = true;
+  // the picture smears, drifts in colour and tilts
+  const wobble = Math.sin(performance.now() * 0.003);
+  canvas.style.filter = distortion > 0.001
+    ? `blur(${(distortion * 3).toFixed(2)}px) hue-rotate(${(wobble * distortion * 50).toFixed(1)}deg) ` +
+      `contrast(${(1 + distortion * 0.6).toFixed(2)}) saturate(${(1 - distortion * 0.6).toFixed(2)})`
+    : '';
+  camera.rotation.z = wobble * distortion * 0.12;
+  camera.fov = settings.fov + Math.sin(performance.now() * 0.0017) * distortion * 12;
+  camera.updateProjectionMatrix();
+  if (blackoutEl) blackoutEl.style.opacity = darkness.toFixed(3);
+}
+
+function clearBreakdownVisuals() {
+  breakdownVisible = false;
+  canvas.style.filter = '';
+  camera.rotation.z = 0;
+  camera.fov = settings.fov;
+  camera.updateProjectionMatrix();
+  if (blackoutEl) blackoutEl.style.opacity = '0';
+}
+
+// the penalty: somewhere else, with less of the walk behind him.
+// in hardcore the dream itself is lost: everything starts over, and the
+// autosave is overwritten with the new start so a reload can't undo it
+function wakeElsewhere() {
+  clearEntities(entities);
+  if (hardcore) {
+    walkSeed(createSeed());
+    totalDistanceMeters = 0;
+    setNightState(nightCycle, { night: 1, time: 0 });
+    setDeliveredLines(narrative, []);
+    setFoundMemories(narrative, []);
+    setCollectedPickups(pickups, [], world.seed);
+    updateMemoryPickups();
+    renderJournal();
+    setEntitySaveState(entities, { cooldown: 0, cooldowns: {}, encounters: 0 });
+    breakdown.count = 0;
+    flashlight.battery = 1;
+    updateNightDisplay();
+  } else {
+    const angle = Math.random() * Math.PI * 2;
+    const dist = 120 + Math.random() * 130;
+    const x = camera.position.x + Math.cos(angle) * dist;
+    const z = camera.position.z + Math.sin(angle) * dist;
+    camera.position.set(x, getGroundHeight(world, x, z) + baseEyeHeight, z);
+    totalDistanceMeters *= BREAKDOWN_DISTANCE_KEPT;
+  }
+  lastPos.set(camera.position.x, camera.position.y, camera.position.z);
+  focus = 0.45;
+  // he wakes rested in body, if not in mind
+  setStaminaState(stamina, { level: 1, exhausted: false });
+  updateStatsDisplay();
+  if (hardcore) autoSave();
+}
+
+// what the story knows about the walk so far
+function narrativeFacts() {
+  return {
+    distance: totalDistanceMeters,
+    focus,
+    encounters: entities.encounters,
+    night: nightCycle.night,
+    memories: narrative.found.size,
+    remembered: isFullyRemembered(narrative)
+  };
+}
+
+// what a creature says, if the story has something for it
+function pickWhisper(archetypeId) {
+  return pickLine(narrative, narrativeFacts(), archetypeId);
+}
+
+function updateNarrativeHud() {
+  const text = updateSubtitle(narrative, narrativeFacts());
+  if (text !== null && hudSubEl) hudSubEl.textContent = text;
 }
 
 function updateStatsDisplay() {
@@ -414,46 +1314,177 @@ function updateStatsDisplay() {
 
   if (statsStepsEl) statsStepsEl.textContent = `steps: ${Math.floor(steps)}`;
   if (statsMilesEl) statsMilesEl.textContent = `miles: ${miles.toFixed(2)}`;
+  // every dream starts at its origin
+  const fromStart = Math.hypot(camera.position.x, camera.position.z);
+  if (statsHomeEl) statsHomeEl.textContent = `from start: ${Math.round(fromStart)} m`;
 }
 
-// calculate age based on birthday: May 8, 2006
-function calculateAge() {
-  const birthDate = new Date(2006, 4, 8); // month is 0-indexed (4 = May)
-  const today = new Date();
-  let age = today.getFullYear() - birthDate.getFullYear();
-  const monthDiff = today.getMonth() - birthDate.getMonth();
-  const dayDiff = today.getDate() - birthDate.getDate();
-  
-  // adjust if birthday hasn't occurred yet this year
-  if (monthDiff < 0 || (monthDiff === 0 && dayDiff < 0)) {
-    age--;
+function updateNightDisplay() {
+  if (hudTitleEl) {
+    hudTitleEl.textContent = `JAFET / NIGHT ${nightCycle.night}`;
   }
-  
-  return age;
 }
 
-function updateAgeDisplay() {
-  const age = calculateAge();
-  if (hudTitleEl) {
-    hudTitleEl.textContent = `JAFET / AGE ${age}`;
+// NAVIGATION
+const COMPASS_LABELS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const minimapTrees = []; // reused every redraw
+
+// half a turn of spare marks either side, so the strip never shows an edge
+function buildCompassStrip() {
+  if (!compassStripEl) return;
+  for (let deg = -180; deg <= 540; deg += 15) {
+    const mark = document.createElement('div');
+    const heading = wrapDegrees(deg);
+    if (heading % 45 === 0) {
+      mark.className = heading % 90 === 0 ? 'compass-mark cardinal' : 'compass-mark';
+      mark.textContent = COMPASS_LABELS[heading / 45];
+    } else {
+      mark.className = 'compass-mark tick';
+    }
+    mark.style.left = `${deg * COMPASS_PX_PER_DEG}px`;
+    compassStripEl.appendChild(mark);
+  }
+}
+
+function updateCompassDisplay() {
+  if (!compassStripEl) return;
+  const heading = compassHeading(camera, compass);
+  // the strip's zero sits under the needle; slide it so the heading does instead
+  compassStripEl.style.transform = `translateX(${(-heading * COMPASS_PX_PER_DEG).toFixed(1)}px)`;
+  if (!compassHomeEl) return;
+  const { x, z } = camera.position;
+  if (Math.hypot(x, z) < 3) {
+    compassHomeEl.style.opacity = '0';
+    return;
+  }
+  // the way back, pinned to the edge of the strip when it is behind him
+  const off = wrapDegrees(bearingTo(x, z, 0, 0) - heading + 180) - 180;
+  const shown = Math.max(-50, Math.min(50, off));
+  compassHomeEl.style.transform = `translateX(calc(-50% + ${(shown * COMPASS_PX_PER_DEG).toFixed(1)}px))`;
+  compassHomeEl.style.opacity = shown === off ? '1' : '0.35';
+}
+
+function updateMinimapVisibility() {
+  if (minimapEl) minimapEl.style.display = settings.minimap ? '' : 'none';
+}
+
+// drawn with him facing up: trees, the trail behind him, where he started and
+// the landmarks he has seen. the map never lies; only the compass does
+function drawMinimap() {
+  const ctx2d = minimapEl.getContext('2d');
+  const half = minimapEl.width / 2;
+  const scale = half / MINIMAP_RANGE;
+  const { x: px, z: pz } = camera.position;
+  const cos = Math.cos(camera.rotation.y);
+  const sin = Math.sin(camera.rotation.y);
+  const toMap = (x, z) => {
+    const dx = x - px;
+    const dz = z - pz;
+    return [half + (dx * cos - dz * sin) * scale, half + (dx * sin + dz * cos) * scale];
+  };
+  // things worth finding again stay on the rim when they are out of range
+  const pinned = (x, z) => {
+    const [mx, my] = toMap(x, z);
+    const dist = Math.hypot(mx - half, my - half);
+    const max = half - 8;
+    return dist > max ? [half + ((mx - half) * max) / dist, half + ((my - half) * max) / dist] : [mx, my];
+  };
+
+  ctx2d.clearRect(0, 0, half * 2, half * 2);
+  ctx2d.save();
+  ctx2d.beginPath();
+  ctx2d.arc(half, half, half, 0, Math.PI * 2);
+  ctx2d.clip();
+  ctx2d.fillStyle = 'rgba(5,6,8,0.6)';
+  ctx2d.fill();
+
+  minimapTrees.length = 0;
+  world.treeHash.query(px, pz, MINIMAP_RANGE * 1.05, minimapTrees);
+  ctx2d.fillStyle = 'rgba(170,185,170,0.4)';
+  for (const tree of minimapTrees) {
+    const [mx, my] = toMap(tree.x, tree.z);
+    ctx2d.fillRect(mx - 2, my - 2, 4, 4);
+  }
+
+  // no line across a gap he never walked
+  ctx2d.strokeStyle = 'rgba(159,196,255,0.6)';
+  ctx2d.lineWidth = 2;
+  ctx2d.beginPath();
+  let prev = null;
+  for (const point of trail.points) {
+    const [mx, my] = toMap(point[0], point[1]);
+    if (prev && Math.hypot(point[0] - prev[0], point[1] - prev[1]) <= TRAIL_GAP) ctx2d.lineTo(mx, my);
+    else ctx2d.moveTo(mx, my);
+    prev = point;
   }
+  if (prev && Math.hypot(px - prev[0], pz - prev[1]) <= TRAIL_GAP) ctx2d.lineTo(half, half);
+  ctx2d.stroke();
+
+  const [sx, sy] = pinned(0, 0);
+  ctx2d.strokeStyle = 'rgba(159,196,255,0.9)';
+  ctx2d.beginPath();
+  ctx2d.arc(sx, sy, 5, 0, Math.PI * 2);
+  ctx2d.stroke();
+
+  ctx2d.fillStyle = '#f6d86b';
+  for (const landmark of world.landmarks.placed) {
+    if (!landmark.discovered) continue;
+    const [lx, ly] = pinned(landmark.x, landmark.z);
+    ctx2d.beginPath();
+    ctx2d.moveTo(lx, ly - 6);
+    ctx2d.lineTo(lx + 5, ly);
+    ctx2d.lineTo(lx, ly + 6);
+    ctx2d.lineTo(lx - 5, ly);
+    ctx2d.closePath();
+    ctx2d.fill();
+  }
+  ctx2d.restore();
+
+  ctx2d.fillStyle = 'rgba(255,255,255,0.9)';
+  ctx2d.beginPath();
+  ctx2d.moveTo(half, half - 8);
+  ctx2d.lineTo(half + 5, half + 6);
+  ctx2d.lineTo(half, half + 3);
+  ctx2d.lineTo(half - 5, half + 6);
+  ctx2d.closePath();
+  ctx2d.fill();
+}
+
+function updateNavigationHud(dt) {
+  updateCompassDisplay();
+  if (!minimapEl || !settings.minimap) return;
+  minimapTimer -= dt;
+  if (minimapTimer > 0) return;
+  minimapTimer = MINIMAP_INTERVAL;
+  drawMinimap();
 }
 
 // ensure stats are consistent on first frame
 updateStatsDisplay();
-updateAgeDisplay();
-
-// update age display every minute in case user plays across midnight on birthday
-setInterval(updateAgeDisplay, 60000);
+updateNightDisplay();
+buildCompassStrip();
+updateMinimapVisibility();
 
 function animate() {
   requestAnimationFrame(animate);
   const dt = Math.min(clock.getDelta(), 0.05);
 
-  const moveInfo = gameStarted ? controls.update(dt) : { moveIntensity: 0, isSprinting: false };
-  if (gameStarted) {
-    updateHeadBob(dt, moveInfo);
+  pollGamepad(controls.gamepad, onGamepadAction);
 
+  // a breakdown takes the body away from the player
+  const moveInfo = gameStarted && !isBreakingDown(breakdown)
+    ? controls.update(dt)
+    : { moveIntensity: 0, isSprinting: false, isCrouching: false, isHoldingBreath: false };
+  if (gameStarted) {
+    updateStamina(stamina, dt, moveInfo.isSprinting, moveInfo.moveIntensity > 0.05, moveInfo.isHoldingBreath);
+  }
+  // letting go of a held breath, loud in the quiet
+  if (heldBreath && !moveInfo.isHoldingBreath) audio.exhale(1 - stamina.air);
+  heldBreath = moveInfo.isHoldingBreath;
+  updateStaminaDisplay();
+  // keep eyes above the terrain even behind the title screen
+  updateHeadBob(dt, moveInfo);
+  if (gameStarted) {
     // update distance walked (horizontal distance only)
     const dx = camera.position.x - lastPos.x;
     const dz = camera.position.z - lastPos.z;
@@ -464,6 +1495,7 @@ function animate() {
 
       updateStatsDisplay();
     }
+    updateTrail(trail, camera.position.x, camera.position.z);
 
     // Auto-save timer
     autoSaveTimer += dt;
@@ -473,12 +1505,48 @@ function animate() {
     }
   }
 
+  if (gameStarted && updateNightCycle(nightCycle, dt)) updateNightDisplay();
+  setWorldAtmosphere(world, {
+    fogDensity: nightCycle.fogDensity,
+    moonIntensity: nightCycle.moonIntensity,
+    dawn: nightCycle.dawn
+  });
   updateWorld(world, camera, dt);
 
-  const { threatLevel, whisper } = updateEntities(entities, camera, dt, focus);
-  updateFocus(dt, threatLevel);
+  if (gameStarted) {
+    const picked = updatePickups(pickups, world, camera, world.internalTime);
+    for (const kind of picked) onPickup(kind);
+  }
+
+  const { threatLevel, whisper, whisperFrom, behavior, archetype } = updateEntities(entities, camera, dt, focus, {
+    world,
+    moveInfo,
+    flashlight,
+    aggression: nightCycle.aggression,
+    dawn: nightCycle.dawn,
+    pickWhisper
+  });
+  updateFlashlight(flashlight, dt, threatLevel, moveInfo.moveIntensity > 0.05);
+  updateBatteryDisplay();
+  updateFocus(dt, threatLevel, moveInfo.isHoldingBreath);
+  updateBreakdownSequence(dt);
   updateWhisper(dt, whisper);
-  audio.update(threatLevel, focus);
+  if (whisper && whisperFrom) audio.whisper(whisper, whisperFrom.x, whisperFrom.y + 1.4, whisperFrom.z, focus);
+  updateEntityHud(behavior, archetype);
+  rumbleGamepad(controls.gamepad, gameStarted ? Math.max(threatLevel, breakdown.distortion) : 0);
+  updateNarrativeHud();
+  updateCompass(compass, dt, focus);
+  updateNavigationHud(dt);
+  audio.update(threatLevel, focus, behavior, {
+    camera,
+    creatures: entities.instances,
+    trees: world.nearTrees,
+    landmarks: world.landmarks.loaded,
+    distortion: breakdown.distortion,
+    darkness: breakdown.darkness,
+    // a held breath makes no sound at all
+    breath: moveInfo.isHoldingBreath ? 0 : stamina.breath
+  }, dt);
 
   renderer.render(scene, camera);
 }
@@ -0,0 +1,172 @@
+// the story, told in whispers. lines and HUD subtitles live in a JSON script
+// (narrative.json) and are gated on what has happened so far:
+//
+//   {
+//     "lines": [
+//       { "id": "third-night", "text": "this is the third night",
+//         "from": ["watcher"],            // optional: only these archetypes say it
+//         "when": { "minNight": 3 },      // optional: see CONDITIONS
+//         "once": true,                   // optional: never repeated
+//         "weight": 2 }                   // optional: relative pick chance
+//     ],
+//     "subtitles": [
+//       { "id": "far", "text": "the path forgot you", "when": { "minDistance": 2000 } }
+//     ],
+//     "memories": [                        // journal entries, found in the order listed
+//       { "id": "cabin", "title": "the cabin", "text": "one room, one lamp." }
+//     ],
+//     "remembered": { "whisper": "...", "title": "..." } // once every memory is found
+//   }
+//
+// the last subtitle whose conditions hold is the one shown.
+
+// facts: { distance, focus, encounters, night, memories, remembered }, delivered: Set of line ids.
+// remembered is true once every memory in the script has been found, however many it holds
+const CONDITIONS = {
+  minDistance: (v, f) => f.distance >= v,
+  maxDistance: (v, f) => f.distance < v,
+  minFocus: (v, f) => f.focus >= v,
+  maxFocus: (v, f) => f.focus <= v,
+  minEncounters: (v, f) => f.encounters >= v,
+  maxEncounters: (v, f) => f.encounters < v,
+  minNight: (v, f) => f.night >= v,
+  maxNight: (v, f) => f.night <= v,
+  minMemories: (v, f) => f.memories >= v,
+  remembered: (v, f) => !!f.remembered === v,
+  seen: (ids, f, delivered) => [].concat(ids).every((id) => delivered.has(id)),
+  notSeen: (ids, f, delivered) => ![].concat(ids).some((id) => delivered.has(id))
+};
+
+// saves only remember this many delivered lines
+const MAX_DELIVERED = 500;
+
+export function createNarrative(script) {
+  const narrative = {
+    lines: [],
+    subtitles: [],
+    memories: [],
+    remembered: null, // { whisper, title } for when the journal is full
+    delivered: new Set(),
+    found: new Set(), // memory ids picked up (saved)
+    last: null,    // id of the line delivered most recently
+    subtitle: null // id of the subtitle currently shown
+  };
+  if (script) setNarrativeScript(narrative, script);
+  return narrative;
+}
+
+export async function loadNarrativeScript(url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } catch (err) {
+    console.error('Failed to load narrative script', err);
+    return null;
+  }
+}
+
+export function setNarrativeScript(narrative, script) {
+  narrative.lines = (script.lines || []).filter((l) => l && l.id && l.text);
+  narrative.subtitles = (script.subtitles || []).filter((s) => s && s.id && s.text);
+  narrative.memories = (script.memories || []).filter((m) => m && m.id && m.text);
+  narrative.remembered = script.remembered || null;
+  narrative.subtitle = null;
+  for (const entry of [...narrative.lines, ...narrative.subtitles]) {
+    for (const key in entry.when || {}) {
+      if (!CONDITIONS[key]) console.warn(`Unknown narrative condition "${key}" on "${entry.id}"`);
+    }
+  }
+}
+
+export function meetsConditions(when, facts, delivered) {
+  if (!when) return true;
+  for (const key in when) {
+    const test = CONDITIONS[key];
+    // an unknown condition is a typo in the script; never fire on it
+    if (!test || !test(when[key], facts, delivered)) return false;
+  }
+  return true;
+}
+
+// a line for this archetype to say right now, or '' if the script has none.
+// lines not heard yet are preferred; the pick is recorded as delivered.
+export function pickLine(narrative, facts, archetype) {
+  const { delivered } = narrative;
+  const open = narrative.lines.filter((line) => {
+    if (line.from && !line.from.includes(archetype)) return false;
+    if (line.once && delivered.has(line.id)) return false;
+    return meetsConditions(line.when, facts, delivered);
+  });
+  if (!open.length) return '';
+
+  const fresh = open.filter((line) => !delivered.has(line.id));
+  // everything heard already: at least don't say the same thing twice running
+  const pool = fresh.length ? fresh : open.length > 1 ? open.filter((line) => line.id !== narrative.last) : open;
+  let total = 0;
+  for (const line of pool) total += line.weight ?? 1;
+  let roll = Math.random() * total;
+  let picked = pool[pool.length - 1];
+  for (const line of pool) {
+    roll -= line.weight ?? 1;
+    if (roll <= 0) {
+      picked = line;
+      break;
+    }
+  }
+
+  // re-insert so the most recent lines survive trimming
+  delivered.delete(picked.id);
+  delivered.add(picked.id);
+  narrative.last = picked.id;
+  if (delivered.size > MAX_DELIVERED) delivered.delete(delivered.values().next().value);
+  return picked.text;
+}
+
+// returns the new subtitle text when it changes, otherwise null
+export function updateSubtitle(narrative, facts) {
+  let current = null;
+  for (const sub of narrative.subtitles) {
+    if (meetsConditions(sub.when, facts, narrative.delivered)) current = sub;
+  }
+  if (!current || current.id === narrative.subtitle) return null;
+  narrative.subtitle = current.id;
+  return current.text;
+}
+
+// the next memory found comes back to him: recorded and returned, or null
+// when there is none left to find (or the script hasn't arrived yet)
+export function recallMemory(narrative) {
+  const memory = narrative.memories.find((m) => !narrative.found.has(m.id));
+  if (!memory) return null;
+  narrative.found.add(memory.id);
+  return memory;
+}
+
+// every memory in the script, in order, marked found or not
+export function listMemories(narrative) {
+  return narrative.memories.map((m) => ({ ...m, found: narrative.found.has(m.id) }));
+}
+
+export function isFullyRemembered(narrative) {
+  return narrative.memories.length > 0 && narrative.memories.every((m) => narrative.found.has(m.id));
+}
+
+export function getFoundMemories(narrative) {
+  return Array.from(narrative.found);
+}
+
+export function setFoundMemories(narrative, ids) {
+  narrative.found = new Set(Array.isArray(ids) ? ids.filter((id) => typeof id === 'string') : []);
+  narrative.subtitle = null;
+}
+
+export function getDeliveredLines(narrative) {
+  return Array.from(narrative.delivered);
+}
+
+export function setDeliveredLines(narrative, ids) {
+  narrative.delivered = new Set(Array.isArray(ids) ? ids.filter((id) => typeof id === 'string') : []);
+  // let the subtitle catch up with the restored story
+  narrative.subtitle = null;
+}
@@ -0,0 +1,78 @@
+// finding the way, or believing you can: a compass that follows the head,
+// and a trail of breadcrumbs dropped every few metres. the compass is only
+// as steady as Jafet; when focus runs low it sometimes swings round and
+// points somewhere else for a while, then drifts back as if nothing happened.
+
+const TRAIL_SPACING = 4;    // metres between breadcrumbs
+const MAX_TRAIL = 600;      // oldest crumbs are forgotten first (saved, so keep it small)
+const LIE_BELOW = 0.35;     // focus under which the compass may lie
+const LIE_EASE = 0.6;       // how quickly it swings (per second); slow enough to doubt your eyes
+
+// crumbs further apart than this were not walked between (a breakdown, a load), so
+// nothing should draw a line across them
+export const TRAIL_GAP = TRAIL_SPACING * 3;
+
+export function createTrail() {
+  return { points: [] }; // [x, z], oldest first
+}
+
+// drops a crumb once he is far enough from the last one
+export function updateTrail(trail, x, z) {
+  const last = trail.points[trail.points.length - 1];
+  if (last && Math.hypot(x - last[0], z - last[1]) < TRAIL_SPACING) return;
+  // a decimetre is plenty, and keeps the save small
+  trail.points.push([Math.round(x * 10) / 10, Math.round(z * 10) / 10]);
+  if (trail.points.length > MAX_TRAIL) trail.points.shift();
+}
+
+export function clearTrail(trail) {
+  trail.points = [];
+}
+
+export function getTrailState(trail) {
+  return trail.points.map(([x, z]) => [x, z]);
+}
+
+export function setTrailState(trail, saved) {
+  trail.points = saved.slice(-MAX_TRAIL).map(([x, z]) => [x, z]);
+}
+
+export function createCompass() {
+  return {
+    lie: 0,    // radians the needle is currently off by
+    target: 0, // where the lie is heading; 0 is the truth
+    timer: 0   // seconds until it changes its mind
+  };
+}
+
+export function updateCompass(compass, dt, focus) {
+  compass.timer -= dt;
+  // a clear head sees through it at once
+  if (focus >= LIE_BELOW + 0.1) compass.target = 0;
+  if (compass.timer <= 0) {
+    if (compass.target !== 0 || focus >= LIE_BELOW) {
+      compass.target = 0;
+      compass.timer = 8 + Math.random() * 14;
+    } else {
+      // a quarter turn or more, either way
+      const side = Math.random() < 0.5 ? -1 : 1;
+      compass.target = side * (Math.PI / 2 + Math.random() * Math.PI / 2);
+      compass.timer = 4 + Math.random() * 5;
+    }
+  }
+  compass.lie += (compass.target - compass.lie) * Math.min(1, dt * LIE_EASE);
+}
+
+// what the compass shows, in degrees clockwise from north (-Z), 0..360
+export function compassHeading(camera, compass) {
+  return wrapDegrees(((-camera.rotation.y + compass.lie) * 180) / Math.PI);
+}
+
+// bearing from (x, z) to (tx, tz), same convention
+export function bearingTo(x, z, tx, tz) {
+  return wrapDegrees((Math.atan2(tx - x, z - tz) * 180) / Math.PI);
+}
+
+export function wrapDegrees(deg) {
+  return ((deg % 360) + 360) % 360;
+}
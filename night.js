@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+
+// the night clock. a night thickens as it goes on: the fog closes in, the moon
+// sinks and whatever walks out there grows bolder. then dawn greys the sky,
+// the creatures slink off, and the next night begins - a little worse.
+
+const NIGHT_DURATION = 480; // seconds of darkness
+const DAWN_DURATION = 24;   // seconds of grey before the next night falls
+
+// per-night escalation, capped so late nights stay survivable
+const AGGRESSION_PER_NIGHT = 0.12;
+const MAX_AGGRESSION = 0.85;
+
+export const NIGHT_PHASE = {
+  NIGHT: 'night',
+  DAWN: 'dawn'
+};
+
+export function createNightCycle() {
+  return {
+    night: 1,
+    time: 0,          // seconds into the current phase
+    phase: NIGHT_PHASE.NIGHT,
+    progress: 0,      // 0..1 through the night
+    dawn: 0,          // 0..1 how light it is
+    aggression: 0,    // 0..1, read by the creatures
+    fogDensity: 0.035,
+    moonIntensity: 0.35
+  };
+}
+
+// returns true on the frame a new night begins
+export function updateNightCycle(cycle, dt) {
+  cycle.time += dt;
+  let newNight = false;
+
+  if (cycle.phase === NIGHT_PHASE.NIGHT && cycle.time >= NIGHT_DURATION) {
+    cycle.phase = NIGHT_PHASE.DAWN;
+    cycle.time = 0;
+  } else if (cycle.phase === NIGHT_PHASE.DAWN && cycle.time >= DAWN_DURATION) {
+    cycle.phase = NIGHT_PHASE.NIGHT;
+    cycle.time = 0;
+    cycle.night++;
+    newNight = true;
+  }
+
+  deriveAtmosphere(cycle);
+  return newNight;
+}
+
+export function getNightState(cycle) {
+  return { night: cycle.night, time: cycle.time, phase: cycle.phase };
+}
+
+export function setNightState(cycle, saved) {
+  if (!saved) return;
+  cycle.night = Math.max(1, Math.floor(saved.night) || 1);
+  cycle.phase = saved.phase === NIGHT_PHASE.DAWN ? NIGHT_PHASE.DAWN : NIGHT_PHASE.NIGHT;
+  const limit = cycle.phase === NIGHT_PHASE.DAWN ? DAWN_DURATION : NIGHT_DURATION;
+  cycle.time = THREE.MathUtils.clamp(Number(saved.time) || 0, 0, limit);
+  deriveAtmosphere(cycle);
+}
+
+function deriveAtmosphere(cycle) {
+  const base = Math.min(MAX_AGGRESSION, (cycle.night - 1) * AGGRESSION_PER_NIGHT);
+
+  if (cycle.phase === NIGHT_PHASE.NIGHT) {
+    cycle.progress = cycle.time / NIGHT_DURATION;
+    // the last minute of darkness is already a little thinner
+    cycle.dawn = THREE.MathUtils.smoothstep(cycle.progress, 0.93, 1) * 0.2;
+  } else {
+    cycle.progress = 1;
+    // light comes up fast, then falls away again as the next night closes in
+    const t = cycle.time / DAWN_DURATION;
+    cycle.dawn = t < 0.7 ? 0.2 + 0.8 * THREE.MathUtils.smoothstep(t, 0, 0.35) : 1 - THREE.MathUtils.smoothstep(t, 0.7, 1);
+  }
+
+  const deepening = cycle.progress * (1 - cycle.dawn);
+  cycle.aggression = Math.min(1, base + deepening * 0.35) * (1 - cycle.dawn);
+  // every night the fog starts a little thicker
+  const nightFog = 0.035 + Math.min(0.02, (cycle.night - 1) * 0.004);
+  cycle.fogDensity = THREE.MathUtils.lerp(nightFog + deepening * 0.02, 0.02, cycle.dawn);
+  // the moon sinks as the night wears on
+  cycle.moonIntensity = THREE.MathUtils.lerp(0.35 - deepening * 0.2, 0.6, cycle.dawn);
+}
@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+import { regionRng, SEED_SALT } from './seed.js';
+import { getGroundHeight } from './world.js';
+
+// small glowing things lying in the grass, picked up by walking over them
+// (or reaching for them, see collectNearest).
+// placement is seeded per cell like the trees; what has been taken is
+// remembered by cell key so a picked-up item never comes back
+
+const CELL_SIZE = 32;
+const STREAM_RADIUS = 40;
+const PICKUP_RADIUS = 1.1;
+const MAX_REMEMBERED = 300;
+
+const tmpForward = new THREE.Vector3();
+const tmpToItem = new THREE.Vector3();
+
+// kind -> how often a cell holds one, and how it looks
+const PICKUP_KINDS = {
+  battery: { chance: 0.22, color: 0xffd27a, glow: 0xffb347, halo: 0.9 },
+  // a torn page of something he remembers; see recallMemory in narrative.js
+  memory: { chance: 0.07, color: 0xe8ecf5, glow: 0x9fc4ff, halo: 1.6 }
+};
+
+export function createPickupSystem(scene) {
+  const group = new THREE.Group();
+  scene.add(group);
+
+  // soft additive halo so pickups read in the dark without real lights
+  const glowCanvas = document.createElement('canvas');
+  glowCanvas.width = 64;
+  glowCanvas.height = 64;
+  const glowCtx = glowCanvas.getContext('2d');
+  const glowGradient = glowCtx.createRadialGradient(32, 32, 0, 32, 32, 32);
+  glowGradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
+  glowGradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.25)');
+  glowGradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  glowCtx.fillStyle = glowGradient;
+  glowCtx.fillRect(0, 0, 64, 64);
+  const glowTexture = new THREE.CanvasTexture(glowCanvas);
+
+  const geometries = {
+    battery: new THREE.CylinderGeometry(0.05, 0.05, 0.2, 8),
+    memory: new THREE.PlaneGeometry(0.22, 0.3)
+  };
+
+  // one body and one halo material per kind, shared by every pickup of it,
+  // so streaming cells in and out never leaves materials behind
+  const materials = {};
+  for (const [kind, style] of Object.entries(PICKUP_KINDS)) {
+    materials[kind] = {
+      body: new THREE.MeshBasicMaterial({ color: style.color, side: THREE.DoubleSide }),
+      halo: new THREE.SpriteMaterial({
+        map: glowTexture,
+        color: style.glow,
+        transparent: true,
+        opacity: 0.5,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+      })
+    };
+  }
+
+  return {
+    group,
+    geometries,
+    materials,
+    disabled: new Set(),  // kinds that no longer turn up
+    cells: new Map(),     // cell key -> list of live pickups
+    collected: new Set(), // cell keys (plus index) already taken
+    seed: null,
+    streamKey: null
+  };
+}
+
+function buildPickup(system, kind) {
+  const style = PICKUP_KINDS[kind];
+  const object = new THREE.Group();
+  const body = new THREE.Mesh(system.geometries[kind], system.materials[kind].body);
+  // batteries lie on their side, pages hang tilted in the air
+  if (kind === 'battery') body.rotation.z = Math.PI / 2;
+  else body.rotation.x = -0.3;
+  const halo = new THREE.Sprite(system.materials[kind].halo);
+  halo.scale.set(style.halo, style.halo, 1);
+  object.add(body);
+  object.add(halo);
+  return { object, halo, haloSize: style.halo };
+}
+
+function cellKey(ix, iz) {
+  return `${ix},${iz}`;
+}
+
+function loadCell(system, world, ix, iz) {
+  const key = cellKey(ix, iz);
+  if (system.cells.has(key)) return;
+  const rng = regionRng(world.seedInt, ix, iz, SEED_SALT.pickups);
+  const items = [];
+  for (const kind of Object.keys(PICKUP_KINDS)) {
+    const roll = rng();
+    const x = (ix + 0.15 + rng() * 0.7) * CELL_SIZE;
+    const z = (iz + 0.15 + rng() * 0.7) * CELL_SIZE;
+    const id = `${key}:${kind}`;
+    if (roll >= PICKUP_KINDS[kind].chance || system.collected.has(id) || system.disabled.has(kind)) continue;
+    const pickup = buildPickup(system, kind);
+    const groundY = getGroundHeight(world, x, z);
+    pickup.object.position.set(x, groundY + 0.25, z);
+    system.group.add(pickup.object);
+    items.push({ id, kind, x, z, groundY, phase: rng() * Math.PI * 2, ...pickup });
+  }
+  system.cells.set(key, items);
+}
+
+function unloadCell(system, key) {
+  for (const item of system.cells.get(key) || []) {
+    system.group.remove(item.object);
+  }
+  system.cells.delete(key);
+}
+
+function clearCells(system) {
+  for (const key of Array.from(system.cells.keys())) unloadCell(system, key);
+  system.streamKey = null;
+}
+
+// returns the kinds picked up this frame
+export function updatePickups(system, world, camera, time) {
+  // a new dream has its own pickups
+  if (system.seed !== world.seed) {
+    clearCells(system);
+    if (system.seed !== null) system.collected.clear();
+    system.seed = world.seed;
+  }
+
+  const cx = camera.position.x;
+  const cz = camera.position.z;
+  const cix = Math.floor(cx / CELL_SIZE);
+  const ciz = Math.floor(cz / CELL_SIZE);
+  const key = cellKey(cix, ciz);
+
+  if (key !== system.streamKey) {
+    system.streamKey = key;
+    const reach = Math.ceil(STREAM_RADIUS / CELL_SIZE);
+    const wanted = new Set();
+    for (let ix = cix - reach; ix <= cix + reach; ix++) {
+      for (let iz = ciz - reach; iz <= ciz + reach; iz++) {
+        wanted.add(cellKey(ix, iz));
+        loadCell(system, world, ix, iz);
+      }
+    }
+    for (const cell of Array.from(system.cells.keys())) {
+      if (!wanted.has(cell)) unloadCell(system, cell);
+    }
+  }
+
+  const picked = [];
+  for (const items of system.cells.values()) {
+    for (let i = items.length - 1; i >= 0; i--) {
+      const item = items[i];
+      // slow bob and pulse so it catches the eye between the trunks. the halo
+      // material is shared, so each one breathes in size rather than opacity
+      item.object.position.y = item.groundY + 0.25 + Math.sin(time * 2 + item.phase) * 0.06;
+      item.object.rotation.y = time * 0.8 + item.phase;
+      const pulse = item.haloSize * (1 + Math.sin(time * 3 + item.phase) * 0.15);
+      item.halo.scale.set(pulse, pulse, 1);
+
+      const dx = item.x - cx;
+      const dz = item.z - cz;
+      if (dx * dx + dz * dz < PICKUP_RADIUS * PICKUP_RADIUS) {
+        takePickup(system, items, i);
+        picked.push(item.kind);
+      }
+    }
+  }
+  return picked;
+}
+
+// reach for the closest pickup within `reach` that is roughly in front of
+// the camera; returns its kind, or null if there was nothing to take
+export function collectNearest(system, camera, reach) {
+  camera.getWorldDirection(tmpForward);
+  let best = null;
+  let bestDist = reach;
+  for (const items of system.cells.values()) {
+    items.forEach((item, i) => {
+      tmpToItem.subVectors(item.object.position, camera.position);
+      const dist = tmpToItem.length();
+      if (dist >= bestDist || tmpToItem.dot(tmpForward) < dist * 0.5) return;
+      best = { items, i };
+      bestDist = dist;
+    });
+  }
+  if (!best) return null;
+  const { kind } = best.items[best.i];
+  takePickup(system, best.items, best.i);
+  return kind;
+}
+
+function takePickup(system, items, i) {
+  const item = items[i];
+  system.group.remove(item.object);
+  items.splice(i, 1);
+  rememberCollected(system, item.id);
+}
+
+// stop (or start again) placing a kind; ones already lying around go too
+export function setPickupKindEnabled(system, kind, enabled) {
+  if (enabled === !system.disabled.has(kind)) return;
+  if (enabled) system.disabled.delete(kind);
+  else system.disabled.add(kind);
+  clearCells(system);
+}
+
+function rememberCollected(system, id) {
+  system.collected.add(id);
+  // the forest is endless; only the most recent pickups need remembering
+  if (system.collected.size > MAX_REMEMBERED) {
+    system.collected.delete(system.collected.values().next().value);
+  }
+}
+
+export function getCollectedPickups(system) {
+  return Array.from(system.collected);
+}
+
+export function setCollectedPickups(system, ids, seed) {
+  system.collected = new Set(Array.isArray(ids) ? ids.filter((id) => typeof id === 'string') : []);
+  system.seed = seed ?? system.seed;
+  clearCells(system);
+}
@@ -0,0 +1,231 @@
+// the save format. every save carries a version; older saves are walked up
+// the migration chain one version at a time, then checked field by field
+// before anything in the game is touched.
+//
+// version 5:
+//   {
+//     version: 5,
+//     timestamp,                        // ms since epoch
+//     seed,                             // dream seed, see seed.js
+//     player: { x, y, z, yaw, pitch },
+//     focus,                            // 0..1
+//     totalDistanceMeters,
+//     flashlight: { on, battery },
+//     stamina: { level, exhausted },
+//     night: { night, time, phase },
+//     entities: { cooldown, cooldowns: { [archetype]: seconds }, encounters },
+//     pickups: [id],                    // collected pickups in this seed
+//     narrative: [id],                  // narrative lines already delivered
+//     memories: [id],                   // memory fragments found, in order
+//     breakdowns,                       // times focus ran out
+//     landmarks: {                      // set pieces found in this dream, see landmarks.js
+//       walked, next, count,            // odometer, when the next is due, how many so far
+//       placed: [{ id, type, x, z, rotY, discovered }]
+//     },
+//     trail: [[x, z]]                   // breadcrumbs, oldest first, see navigation.js
+//   }
+
+export const SAVE_VERSION = 5;
+
+export class SaveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SaveError';
+  }
+}
+
+// MIGRATIONS[n] turns a version n save into version n + 1
+const MIGRATIONS = [
+  // 0: the unversioned saves, a flat bag of whatever existed at the time
+  (old) => ({
+    version: 1,
+    timestamp: old.timestamp ?? 0,
+    seed: old.seed ?? null,
+    player: old.camera && {
+      x: old.camera.x,
+      y: old.camera.y,
+      z: old.camera.z,
+      yaw: old.camera.rotY ?? 0,
+      pitch: old.camera.rotX ?? 0
+    },
+    focus: 1,
+    totalDistanceMeters: old.totalDistanceMeters ?? 0,
+    flashlight: {
+      on: old.flashlightOn ?? true,
+      // saves from before the battery existed start with a full one
+      battery: old.battery ?? 1
+    },
+    night: old.night ?? { night: 1, time: 0, phase: 'night' },
+    entities: { cooldown: 0, cooldowns: {}, encounters: old.encounters ?? 0 },
+    pickups: old.pickups ?? [],
+    narrative: old.narrative ?? [],
+    breakdowns: 0
+  }),
+  // 1: stamina arrives; everyone starts rested
+  (old) => ({ ...old, version: 2, stamina: { level: 1, exhausted: false } }),
+  // 2: landmarks; nothing has been found yet
+  (old) => ({ ...old, version: 3, landmarks: { walked: 0, next: null, count: 0, placed: [] } }),
+  // 3: memory fragments; the journal starts empty
+  (old) => ({ ...old, version: 4, memories: [] }),
+  // 4: the breadcrumb trail starts here; landmarks found so far stay off the map
+  (old) => ({
+    ...old,
+    version: 5,
+    landmarks: old.landmarks && Array.isArray(old.landmarks.placed)
+      ? { ...old.landmarks, placed: old.landmarks.placed.map((l) => ({ ...l, discovered: false })) }
+      : old.landmarks,
+    trail: []
+  })
+];
+
+export function migrateSave(data) {
+  if (!isObject(data)) throw new SaveError('save is not an object');
+  const version = data.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) throw new SaveError(`unknown save version "${version}"`);
+  if (version > SAVE_VERSION) {
+    throw new SaveError(`save is from a newer version of the dream (v${version}, this is v${SAVE_VERSION})`);
+  }
+  let save = data;
+  for (let v = version; v < SAVE_VERSION; v++) {
+    save = MIGRATIONS[v](save);
+  }
+  return save;
+}
+
+// throws a SaveError naming the first bad field
+export function validateSave(save) {
+  if (!isObject(save)) throw new SaveError('save is not an object');
+  if (save.version !== SAVE_VERSION) throw new SaveError(`expected save version ${SAVE_VERSION}, got ${save.version}`);
+
+  expectNumber(save, 'timestamp');
+  if (save.seed !== null && typeof save.seed !== 'string') throw new SaveError('seed must be a string');
+
+  expectObject(save, 'player');
+  for (const key of ['x', 'y', 'z', 'yaw', 'pitch']) expectNumber(save.player, key, 'player');
+
+  expectNumber(save, 'focus', '', 0, 1);
+  expectNumber(save, 'totalDistanceMeters', '', 0);
+
+  expectObject(save, 'flashlight');
+  if (typeof save.flashlight.on !== 'boolean') throw new SaveError('flashlight.on must be true or false');
+  expectNumber(save.flashlight, 'battery', 'flashlight', 0, 1);
+
+  expectObject(save, 'stamina');
+  expectNumber(save.stamina, 'level', 'stamina', 0, 1);
+  if (typeof save.stamina.exhausted !== 'boolean') throw new SaveError('stamina.exhausted must be true or false');
+
+  expectObject(save, 'night');
+  expectNumber(save.night, 'night', 'night', 1);
+  expectNumber(save.night, 'time', 'night', 0);
+  if (save.night.phase !== undefined && save.night.phase !== 'night' && save.night.phase !== 'dawn') {
+    throw new SaveError('night.phase must be "night" or "dawn"');
+  }
+
+  expectObject(save, 'entities');
+  expectNumber(save.entities, 'cooldown', 'entities');
+  expectNumber(save.entities, 'encounters', 'entities', 0);
+  expectObject(save.entities, 'cooldowns', 'entities');
+  for (const id in save.entities.cooldowns) expectNumber(save.entities.cooldowns, id, 'entities.cooldowns');
+
+  expectStringList(save, 'pickups');
+  expectStringList(save, 'narrative');
+  expectStringList(save, 'memories');
+  expectNumber(save, 'breakdowns', '', 0);
+
+  expectObject(save, 'landmarks');
+  expectNumber(save.landmarks, 'walked', 'landmarks', 0);
+  if (save.landmarks.next !== null) expectNumber(save.landmarks, 'next', 'landmarks', 0);
+  expectNumber(save.landmarks, 'count', 'landmarks', 0);
+  if (!Array.isArray(save.landmarks.placed)) throw new SaveError('landmarks.placed must be a list');
+  save.landmarks.placed.forEach((landmark, i) => {
+    const where = `landmarks.placed[${i}]`;
+    if (!isObject(landmark)) throw new SaveError(`${where} must be an object`);
+    if (typeof landmark.id !== 'string' || typeof landmark.type !== 'string') {
+      throw new SaveError(`${where} needs an id and a type`);
+    }
+    for (const key of ['x', 'z', 'rotY']) expectNumber(landmark, key, where);
+    if (typeof landmark.discovered !== 'boolean') throw new SaveError(`${where}.discovered must be true or false`);
+  });
+
+  if (!Array.isArray(save.trail)) throw new SaveError('trail must be a list');
+  save.trail.forEach((point, i) => {
+    if (!Array.isArray(point) || point.length !== 2) throw new SaveError(`trail[${i}] must be an [x, z] pair`);
+    expectNumber(point, 0, `trail[${i}]`);
+    expectNumber(point, 1, `trail[${i}]`);
+  });
+  return save;
+}
+
+// raw JSON text -> a current, validated save (or a SaveError)
+export function parseSave(raw) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    throw new SaveError('save is not valid JSON');
+  }
+  return validateSave(migrateSave(data));
+}
+
+// save files travel between machines, so they carry a checksum of the save
+// they wrap; a hand-edited or truncated file is turned away at the door
+const SAVE_FILE_FORMAT = 'endless-dream-save';
+
+export async function createSaveFile(save) {
+  const body = JSON.stringify(save);
+  return JSON.stringify({ format: SAVE_FILE_FORMAT, checksum: await checksum(body), save }, null, 2);
+}
+
+// file text -> a current, validated save (or a SaveError)
+export async function readSaveFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new SaveError('file is not valid JSON');
+  }
+  if (!isObject(file) || file.format !== SAVE_FILE_FORMAT) throw new SaveError('not an endless dream save file');
+  if (typeof file.checksum !== 'string' || !isObject(file.save)) throw new SaveError('save file is incomplete');
+  if ((await checksum(JSON.stringify(file.save))) !== file.checksum) {
+    throw new SaveError('checksum mismatch: the file was changed or damaged');
+  }
+  return validateSave(migrateSave(file.save));
+}
+
+// Web Crypto only exists on secure pages (https, localhost); on a plain-http
+// or LAN host there is nothing to check the file with
+async function checksum(text) {
+  if (!globalThis.crypto || !crypto.subtle) {
+    throw new SaveError('save files need a secure (https) page to be checked');
+  }
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function fieldName(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+function expectObject(obj, key, parent = '') {
+  if (!isObject(obj[key])) throw new SaveError(`${fieldName(parent, key)} is missing`);
+}
+
+// finite, and inside [min, max] when given. NaN and Infinity never get through
+function expectNumber(obj, key, parent = '', min = -Infinity, max = Infinity) {
+  const value = obj[key];
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new SaveError(`${fieldName(parent, key)} must be a number`);
+  }
+  if (value < min || value > max) throw new SaveError(`${fieldName(parent, key)} is out of range (${value})`);
+}
+
+function expectStringList(obj, key) {
+  const list = obj[key];
+  if (!Array.isArray(list) || list.some((item) => typeof item !== 'string')) {
+    throw new SaveError(`${key} must be a list of ids`);
+  }
+}
@@ -0,0 +1,76 @@
+// deterministic randomness for the dream.
+// every region of the map derives its own generator from the world seed,
+// so the same seed always grows the same forest in the same places.
+
+// readable seed alphabet (no 0/O or 1/I confusion when sharing by voice)
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SEED_LENGTH = 8;
+const MAX_SEED_LENGTH = 32;
+
+// salts keep each kind of placement independent of the others,
+// so adding mist to a region never moves its trees
+export const SEED_SALT = {
+  trees: 0x7a3f1d,
+  mist: 0x51c9e3,
+  landmarks: 0x2d17b5,
+  landmarkTiming: 0x48a6f3,
+  stars: 0x0e4a92,
+  terrain: 0x6b8e21,
+  pickups: 0x13f0c7
+};
+
+export function createSeed() {
+  let seed = '';
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+}
+
+// accept anything a player might type or paste; returns null if unusable
+export function normalizeSeed(input) {
+  if (input === null || input === undefined) return null;
+  const seed = String(input)
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, '-')
+    .slice(0, MAX_SEED_LENGTH);
+  return seed.length > 0 ? seed : null;
+}
+
+// FNV-1a: seed string -> 32-bit unsigned int
+export function seedToInt(seed) {
+  let h = 0x811c9dc5;
+  const str = String(seed);
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// integer coordinate hash, stable across sessions and machines
+export function hashCoords(seedInt, x, z, salt = 0) {
+  let h = (seedInt ^ salt) >>> 0;
+  h = Math.imul(h ^ (x | 0), 0x27d4eb2d);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (z | 0), 0x165667b1);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// mulberry32: small, fast, good enough for scattering trees
+export function createRng(state) {
+  let a = state >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function regionRng(seedInt, rx, rz, salt) {
+  return createRng(hashCoords(seedInt, rx, rz, salt));
+}
@@ -0,0 +1,163 @@
+// player settings, kept in localStorage and shared by reference: controls and
+// main.js read the live object every frame, so changes apply immediately.
+
+const SETTINGS_KEY = 'endless_dream_settings';
+
+// rebindable actions, in the order the settings panel lists them
+export const ACTIONS = [
+  { id: 'forward', label: 'walk forward' },
+  { id: 'back', label: 'walk back' },
+  { id: 'left', label: 'step left' },
+  { id: 'right', label: 'step right' },
+  { id: 'sprint', label: 'sprint' },
+  { id: 'crouch', label: 'crouch' },
+  { id: 'holdBreath', label: 'hold breath' },
+  { id: 'flashlight', label: 'flashlight' },
+  { id: 'interact', label: 'pick up' },
+  { id: 'journal', label: 'journal' }
+];
+
+// each action takes a primary key plus optional alternates (e.key, lowercased)
+const DEFAULT_BINDINGS = {
+  forward: ['w', 'arrowup'],
+  back: ['s', 'arrowdown'],
+  left: ['a', 'arrowleft'],
+  right: ['d', 'arrowright'],
+  sprint: ['shift'],
+  crouch: ['c'],
+  holdBreath: [' '],
+  flashlight: ['f'],
+  interact: ['e'],
+  journal: ['j']
+};
+
+export const SETTING_LIMITS = {
+  lookSensitivity: [0.0005, 0.006],
+  touchSensitivity: [0.3, 3], // multiplier on lookSensitivity for finger drags
+  fov: [50, 100],
+  gamepadDeadzone: [0, 0.4],  // stick travel ignored around the centre
+  gamepadCurve: [1, 3]        // look response: 1 = linear, higher = finer near the centre
+};
+
+export function defaultSettings() {
+  return {
+    bindings: cloneBindings(DEFAULT_BINDINGS),
+    lookSensitivity: 0.0022,
+    touchSensitivity: 1,
+    invertY: false,
+    gyroAim: false,
+    fov: 65,
+    gamepadDeadzone: 0.15,
+    gamepadCurve: 1.8,
+    minimap: true
+  };
+}
+
+// stored values are merged over the defaults; anything odd is dropped
+export function loadSettings() {
+  const settings = defaultSettings();
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    if (!stored || typeof stored !== 'object') return settings;
+    for (const { id } of ACTIONS) {
+      const keys = stored.bindings && stored.bindings[id];
+      if (Array.isArray(keys) && keys.length && keys.every((k) => typeof k === 'string')) {
+        settings.bindings[id] = keys.slice();
+      }
+    }
+    // a hand-edited list (or one from before an action existed) can share keys; start over
+    if (!bindingsValid(settings.bindings)) {
+      console.warn('Stored key bindings overlap; using the defaults');
+      settings.bindings = cloneBindings(DEFAULT_BINDINGS);
+    }
+    settings.lookSensitivity = clampSetting('lookSensitivity', stored.lookSensitivity, settings.lookSensitivity);
+    settings.touchSensitivity = clampSetting('touchSensitivity', stored.touchSensitivity, settings.touchSensitivity);
+    settings.fov = clampSetting('fov', stored.fov, settings.fov);
+    settings.gamepadDeadzone = clampSetting('gamepadDeadzone', stored.gamepadDeadzone, settings.gamepadDeadzone);
+    settings.gamepadCurve = clampSetting('gamepadCurve', stored.gamepadCurve, settings.gamepadCurve);
+    settings.invertY = stored.invertY === true;
+    settings.gyroAim = stored.gyroAim === true;
+    settings.minimap = stored.minimap !== false;
+  } catch (err) {
+    console.error('Failed to read settings', err);
+  }
+  return settings;
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Failed to save settings', err);
+  }
+}
+
+// put everything back, keeping the same object so holders see the change
+export function resetSettings(settings) {
+  Object.assign(settings, defaultSettings());
+}
+
+export function setSetting(settings, name, value) {
+  if (SETTING_LIMITS[name]) value = clampSetting(name, value, settings[name]);
+  settings[name] = value;
+}
+
+// which action a key triggers, or null
+export function actionForKey(settings, key) {
+  for (const { id } of ACTIONS) {
+    if (settings.bindings[id].includes(key)) return id;
+  }
+  return null;
+}
+
+// the key becomes the action's primary; no other action keeps it. an action
+// left with no key takes the primary that was just replaced, so the two swap.
+// returns false (and changes nothing) if that would leave any action keyless
+// or any key shared
+export function bindKey(settings, action, key) {
+  const replaced = settings.bindings[action][0];
+  if (replaced === key) return true;
+  const bindings = cloneBindings(settings.bindings);
+  for (const { id } of ACTIONS) {
+    if (id === action) continue;
+    const rest = bindings[id].filter((k) => k !== key);
+    bindings[id] = rest.length ? rest : [replaced];
+  }
+  bindings[action] = [key, ...bindings[action].slice(1).filter((k) => k !== key)];
+  if (!bindingsValid(bindings)) return false;
+  settings.bindings = bindings;
+  return true;
+}
+
+// every action has at least one key, and no key belongs to two actions
+function bindingsValid(bindings) {
+  const seen = new Set();
+  for (const { id } of ACTIONS) {
+    const keys = bindings[id];
+    if (!keys || !keys.length) return false;
+    for (const key of keys) {
+      if (seen.has(key)) return false;
+      seen.add(key);
+    }
+  }
+  return true;
+}
+
+export function keyLabel(key) {
+  if (!key) return '—';
+  if (key === ' ') return 'space';
+  if (key.startsWith('arrow')) return key.slice(5);
+  return key;
+}
+
+function clampSetting(name, value, fallback) {
+  const [min, max] = SETTING_LIMITS[name];
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function cloneBindings(bindings) {
+  const out = {};
+  for (const id in bindings) out[id] = bindings[id].slice();
+  return out;
+}
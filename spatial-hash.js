@@ -0,0 +1,87 @@
+// uniform grid hash for things scattered on the ground plane.
+// items are plain objects with x / z; lookups only touch nearby cells,
+// so spacing and proximity checks stay cheap no matter how dense the forest gets.
+
+export function createSpatialHash(cellSize) {
+  const cells = new Map();
+  let size = 0;
+
+  // pack two signed cell coords into one number (no string garbage per lookup)
+  function cellKey(ix, iz) {
+    return ((ix + 32768) & 0xffff) * 65536 + ((iz + 32768) & 0xffff);
+  }
+
+  function insert(item) {
+    const key = cellKey(Math.floor(item.x / cellSize), Math.floor(item.z / cellSize));
+    let bucket = cells.get(key);
+    if (!bucket) {
+      bucket = [];
+      cells.set(key, bucket);
+    }
+    bucket.push(item);
+    item.hashKey = key;
+    size++;
+  }
+
+  function remove(item) {
+    const bucket = cells.get(item.hashKey);
+    if (!bucket) return;
+    const idx = bucket.indexOf(item);
+    if (idx === -1) return;
+    bucket[idx] = bucket[bucket.length - 1];
+    bucket.pop();
+    if (bucket.length === 0) cells.delete(item.hashKey);
+    size--;
+  }
+
+  // calls visit(item, distSq) for every item within radius; return true to stop early
+  function forEachNear(x, z, radius, visit) {
+    const r2 = radius * radius;
+    const minX = Math.floor((x - radius) / cellSize);
+    const maxX = Math.floor((x + radius) / cellSize);
+    const minZ = Math.floor((z - radius) / cellSize);
+    const maxZ = Math.floor((z + radius) / cellSize);
+    for (let ix = minX; ix <= maxX; ix++) {
+      for (let iz = minZ; iz <= maxZ; iz++) {
+        const bucket = cells.get(cellKey(ix, iz));
+        if (!bucket) continue;
+        for (let i = 0; i < bucket.length; i++) {
+          const item = bucket[i];
+          const dx = item.x - x;
+          const dz = item.z - z;
+          const d2 = dx * dx + dz * dz;
+          if (d2 <= r2 && visit(item, d2)) return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  function query(x, z, radius, out = []) {
+    forEachNear(x, z, radius, (item) => {
+      out.push(item);
+    });
+    return out;
+  }
+
+  function anyWithin(x, z, radius) {
+    return forEachNear(x, z, radius, () => true);
+  }
+
+  function clear() {
+    cells.clear();
+    size = 0;
+  }
+
+  return {
+    insert,
+    remove,
+    query,
+    forEachNear,
+    anyWithin,
+    clear,
+    get size() {
+      return size;
+    }
+  };
+}
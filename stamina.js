@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+
+// how long Jafet can run. sprinting drains the pool; walking lets it refill,
+// standing still refills it faster. run it dry and he is exhausted: no
+// sprinting, a slower walk and heavy breathing until he has his wind back.
+// his lungs also set how long he can hold his breath.
+
+const DRAIN_PER_SECOND = 1 / 7;      // about seven seconds of flat-out running
+const RECOVER_WALKING = 1 / 12;
+const RECOVER_STANDING = 1 / 5;
+const RECOVER_DELAY = 0.8;           // seconds after a sprint before it refills
+const RECOVERED_AT = 0.35;           // exhaustion lifts once the pool is back here
+const AIR_PER_SECOND = 1 / 6;        // a held breath lasts about six seconds
+const AIR_RECOVER = 1 / 4;
+const AIR_NEEDED = 0.5;              // after running out he has to breathe a while first
+
+export function createStamina() {
+  return {
+    level: 1,         // 0..1
+    exhausted: false,
+    restTime: 0,      // seconds since the last sprint
+    breath: 0,        // 0..1 how hard he is breathing
+    air: 1,           // 0..1 breath left to hold
+    gasping: false    // ran out of air; no holding until it comes back
+  };
+}
+
+export function updateStamina(stamina, dt, sprinting, moving, holdingBreath = false) {
+  if (sprinting && !stamina.exhausted) {
+    stamina.level = Math.max(0, stamina.level - DRAIN_PER_SECOND * dt);
+    stamina.restTime = 0;
+    if (stamina.level <= 0) stamina.exhausted = true;
+  } else {
+    stamina.restTime += dt;
+    if (stamina.restTime > RECOVER_DELAY) {
+      stamina.level = Math.min(1, stamina.level + (moving ? RECOVER_WALKING : RECOVER_STANDING) * dt);
+    }
+    if (stamina.exhausted && stamina.level >= RECOVERED_AT) stamina.exhausted = false;
+  }
+
+  if (holdingBreath && canHoldBreath(stamina)) {
+    stamina.air = Math.max(0, stamina.air - AIR_PER_SECOND * dt);
+    if (stamina.air <= 0) stamina.gasping = true;
+  } else {
+    stamina.air = Math.min(1, stamina.air + AIR_RECOVER * dt);
+    if (stamina.gasping && stamina.air >= AIR_NEEDED) stamina.gasping = false;
+  }
+
+  // breathing catches up quickly and settles slowly; a long-held breath is paid back
+  const winded = stamina.exhausted ? 1 : THREE.MathUtils.clamp((0.6 - stamina.level) / 0.6, 0, 1) * 0.7;
+  const target = Math.max(winded, (1 - stamina.air) * 0.8);
+  const rate = target > stamina.breath ? 2 : 0.35;
+  stamina.breath += (target - stamina.breath) * Math.min(1, dt * rate);
+}
+
+// spent lungs can't hold anything
+export function canHoldBreath(stamina) {
+  return !stamina.exhausted && !stamina.gasping && stamina.air > 0;
+}
+
+// multiplier on walking speed
+export function staminaSpeedFactor(stamina) {
+  return stamina.exhausted ? 0.65 : 1;
+}
+
+export function getStaminaState(stamina) {
+  return { level: stamina.level, exhausted: stamina.exhausted };
+}
+
+export function setStaminaState(stamina, saved) {
+  stamina.level = saved.level;
+  stamina.exhausted = saved.exhausted;
+  stamina.restTime = 0;
+  stamina.breath = saved.exhausted ? 1 : 0;
+  stamina.air = 1;
+  stamina.gasping = false;
+}
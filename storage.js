@@ -0,0 +1,105 @@
+// named save slots in IndexedDB. each record holds the save as JSON text
+// (so it goes through parseSave like anything else) plus a small thumbnail:
+//
+//   { id, name, updatedAt, thumbnail /* data url or '' */, data /* save JSON */ }
+
+const DB_NAME = 'endless_dream';
+const DB_VERSION = 1;
+const SLOT_STORE = 'slots';
+
+// the old fixed slots lived in localStorage under these keys
+const LEGACY_SLOT_PREFIX = 'endless_dream_slot_';
+
+export async function openSaveStore() {
+  const db = await openDatabase();
+
+  function run(mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(SLOT_STORE, mode);
+      const request = work(tx.objectStore(SLOT_STORE));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // newest first
+  async function list() {
+    const records = await run('readonly', (store) => store.getAll());
+    return records.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  function get(id) {
+    return run('readonly', (store) => store.get(id));
+  }
+
+  // creates the slot when record.id is missing; returns the stored record
+  async function put(record) {
+    const stored = {
+      id: record.id || createSlotId(),
+      name: record.name || 'untitled',
+      updatedAt: record.updatedAt ?? Date.now(),
+      thumbnail: record.thumbnail || '',
+      data: record.data
+    };
+    await run('readwrite', (store) => store.put(stored));
+    return stored;
+  }
+
+  async function rename(id, name) {
+    const record = await get(id);
+    if (!record) return null;
+    record.name = name;
+    await run('readwrite', (store) => store.put(record));
+    return record;
+  }
+
+  function remove(id) {
+    return run('readwrite', (store) => store.delete(id));
+  }
+
+  return { list, get, put, rename, remove };
+}
+
+// move the old numbered localStorage slots over, once. the keys are only
+// cleared after the copy is safely written
+export async function migrateLegacySlots(store) {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(LEGACY_SLOT_PREFIX)) keys.push(key);
+  }
+  for (const key of keys) {
+    const data = localStorage.getItem(key);
+    const number = key.slice(LEGACY_SLOT_PREFIX.length);
+    let updatedAt = Date.now();
+    try {
+      updatedAt = JSON.parse(data).timestamp || updatedAt;
+    } catch {
+      // corrupt saves come over as they are; the slot list will say so
+    }
+    await store.put({ id: `legacy-${number}`, name: `slot ${number}`, updatedAt, data });
+    localStorage.removeItem(key);
+  }
+  return keys.length;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SLOT_STORE)) db.createObjectStore(SLOT_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function createSlotId() {
+  return `slot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
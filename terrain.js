@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+import { hashCoords, SEED_SALT } from './seed.js';
+
+// noise-based rolling ground: long swells, sharp ridges and wide hollows.
+// heights come from the world seed, so the land under a forest never changes.
+
+const ROLL_SCALE = 1 / 55;
+const ROLL_HEIGHT = 3.2;
+const RIDGE_SCALE = 1 / 38;
+const RIDGE_HEIGHT = 2.4;
+const HOLLOW_SCALE = 1 / 90;
+const HOLLOW_DEPTH = 3.5;
+
+// -1..1 pseudo-random value at an integer lattice point
+function lattice(seedInt, salt, ix, iz) {
+  return (hashCoords(seedInt, ix, iz, salt) / 4294967296) * 2 - 1;
+}
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function valueNoise(seedInt, salt, x, z) {
+  const ix = Math.floor(x);
+  const iz = Math.floor(z);
+  const fx = fade(x - ix);
+  const fz = fade(z - iz);
+  const a = lattice(seedInt, salt, ix, iz);
+  const b = lattice(seedInt, salt, ix + 1, iz);
+  const c = lattice(seedInt, salt, ix, iz + 1);
+  const d = lattice(seedInt, salt, ix + 1, iz + 1);
+  const top = a + (b - a) * fx;
+  const bottom = c + (d - c) * fx;
+  return top + (bottom - top) * fz;
+}
+
+// returns heightAt(x, z) for one seed
+export function createHeightSampler(seedInt) {
+  const rollSalt = SEED_SALT.terrain;
+  const ridgeSalt = SEED_SALT.terrain ^ 0x9e3779;
+  const hollowSalt = SEED_SALT.terrain ^ 0x3c6ef3;
+
+  return function heightAt(x, z) {
+    // rolling swells: three octaves of soft noise
+    let roll = 0;
+    let amp = 1;
+    let freq = ROLL_SCALE;
+    for (let o = 0; o < 3; o++) {
+      roll += valueNoise(seedInt, rollSalt + o, x * freq, z * freq) * amp;
+      amp *= 0.45;
+      freq *= 2.1;
+    }
+
+    // ridges: fold the noise so its zero line becomes a sharp crest
+    const fold = 1 - Math.abs(valueNoise(seedInt, ridgeSalt, x * RIDGE_SCALE, z * RIDGE_SCALE));
+    const ridge = fold * fold * fold * RIDGE_HEIGHT;
+
+    // hollows: wide, shallow bowls where the noise runs high
+    const h = valueNoise(seedInt, hollowSalt, x * HOLLOW_SCALE, z * HOLLOW_SCALE);
+    const hollow = -THREE.MathUtils.smoothstep(h, 0.25, 0.7) * HOLLOW_DEPTH;
+
+    return roll * ROLL_HEIGHT + ridge + hollow;
+  };
+}
+
+// flat grid in the XZ plane; tiles reshape it in place as they stream
+export function createTerrainGeometry(size, segments) {
+  const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+  geometry.rotateX(-Math.PI / 2);
+  geometry.attributes.position.setUsage(THREE.DynamicDrawUsage);
+  geometry.attributes.normal.setUsage(THREE.DynamicDrawUsage);
+  return geometry;
+}
+
+// displace a tile to the heightfield around (originX, originZ).
+// normals come from the height function itself, so neighbouring tiles shade seamlessly
+export function shapeTerrainTile(geometry, heightAt, originX, originZ) {
+  const pos = geometry.attributes.position;
+  const nrm = geometry.attributes.normal;
+  const eps = 0.75;
+  for (let i = 0; i < pos.count; i++) {
+    const x = originX + pos.getX(i);
+    const z = originZ + pos.getZ(i);
+    pos.setY(i, heightAt(x, z));
+
+    const dhx = heightAt(x + eps, z) - heightAt(x - eps, z);
+    const dhz = heightAt(x, z + eps) - heightAt(x, z - eps);
+    const nx = -dhx;
+    const ny = 2 * eps;
+    const nz = -dhz;
+    const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    nrm.setXYZ(i, nx / len, ny / len, nz / len);
+  }
+  pos.needsUpdate = true;
+  nrm.needsUpdate = true;
+  geometry.computeBoundingSphere();
+}
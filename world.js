@@ -1,6 +1,44 @@
 import * as THREE from 'three';
-
-export function createWorld(scene, camera) {
+import { seedToInt, regionRng, createRng, SEED_SALT } from './seed.js';
+import { createSpatialHash } from './spatial-hash.js';
+import { createHeightSampler, createTerrainGeometry, shapeTerrainTile } from './terrain.js';
+import { createCollisionSystem } from './collision.js';
+import {
+  createLandmarkSystem,
+  updateLandmarks,
+  landmarkClaims,
+  landmarkClearing,
+  resetLandmarks,
+  getLandmarkState,
+  setLandmarkState
+} from './landmarks.js';
+
+// the map is split into square chunks; each chunk's trees and mist are
+// derived from the world seed, so walking back shows the same forest
+const CHUNK_SIZE = 16;
+const TREE_STREAM_RADIUS = 42;
+const MIST_STREAM_RADIUS = 28;
+const SPAWN_CLEARING = 4; // keep the wake-up spot free of trunks
+
+// trees per 100 m² asked of each chunk. the original ring held ~3.3; the
+// spacing rule lets ~26 of these 33 actually take root. all of them are drawn
+// in two instanced calls; phones get fewer for fill rate under the crowns
+const DEFAULT_TREE_DENSITY = 33;
+const MOBILE_TREE_DENSITY = 15;
+
+const TRUNK_HEIGHT = 3.2;
+const CROWN_HEIGHT = 3.7;
+const TREE_BASE_Y = TRUNK_HEIGHT / 2;
+const TRUNK_SINK = 0.15; // bury the trunk foot a little so slopes never show a gap
+const TRUNK_RADIUS = 0.21; // at the foot of the trunk, matches trunkGeo
+const GROW_DURATION = 10.5; // Increased from 7.5 for even slower, eerier spawn
+const NEAR_RADIUS = 18; // trees inside this radius breathe and lean
+const NIGHT_FOG_COLOR = new THREE.Color(0x070a12);
+const DAWN_FOG_COLOR = new THREE.Color(0x39404c);
+// scratch colours for the per-frame fog / sky blend
+const tmpBaseFog = new THREE.Color();
+
+export function createWorld(scene, camera, seed, options = {}) {
   // slightly brighter night sky
   scene.background = new THREE.Color(0x070a12);
   scene.fog = new THREE.FogExp2(0x070a12, 0.035);
@@ -24,17 +62,21 @@ export function createWorld(scene, camera) {
     }
   );
 
-  // ground: infinite-style tiling grid that follows the camera
+  const seedInt = seedToInt(seed);
+  const heightAt = createHeightSampler(seedInt);
+
+  // ground: infinite-style grid of heightfield tiles that follows the camera
   const tileSize = 80;
   const gridSize = 3; // 3x3 tiles around the player
   const halfGrid = Math.floor(gridSize / 2);
 
-  const groundGeo = new THREE.PlaneGeometry(tileSize, tileSize, 1, 1);
-
   // Detect mobile device for texture optimization
   const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || 
                    window.innerWidth <= 900;
 
+  // ~2 m between terrain vertices on desktop, coarser on mobile
+  const tileSegments = isMobile ? 24 : 40;
+
   // NEW: grass texture for ground tiles
   const textureLoader = new THREE.TextureLoader();
   const groundTexture = textureLoader.load(
@@ -65,21 +107,27 @@ export function createWorld(scene, camera) {
   const grounds = [];
   for (let gx = -halfGrid; gx <= halfGrid; gx++) {
     for (let gz = -halfGrid; gz <= halfGrid; gz++) {
-      const ground = new THREE.Mesh(groundGeo, groundMat);
-      ground.rotation.x = -Math.PI / 2;
+      // each tile owns its geometry; it is reshaped whenever it moves to a new spot
+      const ground = new THREE.Mesh(createTerrainGeometry(tileSize, tileSegments), groundMat);
       ground.receiveShadow = false;
       ground.position.set(gx * tileSize, 0, gz * tileSize);
+      ground.userData.tileKey = null;
       scene.add(ground);
       grounds.push(ground);
     }
   }
 
-  // trees in an infinite-ish ring around the player
-  const treeCount = 180;
+  // trees are streamed in by chunk and drawn as two instanced meshes
+  // (trunks + crowns), one shared matrix per tree
   const trees = [];
+  const treeDensity = options.treeDensity ?? (isMobile ? MOBILE_TREE_DENSITY : DEFAULT_TREE_DENSITY);
+  // keep the packing loose enough that trees never touch, even at high density
+  const minTreeSpacing = Math.min(3.5, 0.8 * Math.sqrt(100 / treeDensity));
 
-  const trunkGeo = new THREE.CylinderGeometry(0.11, 0.21, 3.2, 7);
-  const crownGeo = new THREE.ConeGeometry(0.9, 3.7, 7);
+  const trunkGeo = new THREE.CylinderGeometry(0.11, 0.21, TRUNK_HEIGHT, 7);
+  const crownGeo = new THREE.ConeGeometry(0.9, CROWN_HEIGHT, 7);
+  // bake the crown offset so trunk and crown instances share a matrix
+  crownGeo.translate(0, TRUNK_HEIGHT / 2 + CROWN_HEIGHT / 2 - 0.2, 0);
 
   // NEW: textured materials for tree trunk (bark) and crown (leafy/grass-like)
   const trunkTexture = textureLoader.load(
@@ -116,31 +164,23 @@ export function createWorld(scene, camera) {
     flatShading: true
   });
 
-  for (let i = 0; i < treeCount; i++) {
-    const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-    const crown = new THREE.Mesh(crownGeo, crownMat);
-
-    crown.position.y = 3.2 / 2 + 3.7 / 2 - 0.2;
-    const tree = new THREE.Group();
-    tree.add(trunk);
-    tree.add(crown);
-
-    // base vertical position for animation
-    tree.userData.baseY = 1.6;
-    tree.position.y = tree.userData.baseY;
-
-    randomizeTreePosition(tree, camera.position.x, camera.position.z, i, trees);
-    // initial trees start fully grown; recycled ones will animate in
-    tree.userData.spawnTime = -1000;
-    tree.scale.set(1, 1, 1);
-
-    trees.push(tree);
-    scene.add(tree);
+  // enough instances for the whole streaming disc (plus chunk corners) at this density
+  const streamArea = Math.PI * Math.pow(TREE_STREAM_RADIUS + CHUNK_SIZE, 2);
+  const treeCapacity = Math.ceil((streamArea * treeDensity) / 100);
+
+  const trunks = new THREE.InstancedMesh(trunkGeo, trunkMat, treeCapacity);
+  const crowns = new THREE.InstancedMesh(crownGeo, crownMat, treeCapacity);
+  for (const mesh of [trunks, crowns]) {
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.count = 0;
+    // instances move with the player; a cached bounding sphere would cull them wrongly
+    mesh.frustumCulled = false;
+    scene.add(mesh);
   }
 
   // replace volumetric-style clouds with a star field
   const stars = new THREE.Points(
-    createStarGeometry(),
+    createStarGeometry(createRng(seedInt ^ SEED_SALT.stars)),
     new THREE.PointsMaterial({
       color: 0xf5f7ff,
       size: 0.08,
@@ -155,7 +195,7 @@ export function createWorld(scene, camera) {
 
   // NEW: eerie mist effect using volumetric fog sprites
   const mistParticles = [];
-  const mistCount = isMobile ? 40 : 80;
+  const mistPerChunk = isMobile ? 4 : 7;
   
   // create a soft circular gradient texture for mist sprites
   const mistCanvas = document.createElement('canvas');
@@ -181,93 +221,352 @@ export function createWorld(scene, camera) {
     color: 0xb4c5d8
   });
 
-  for (let i = 0; i < mistCount; i++) {
+  function createMist() {
     const sprite = new THREE.Sprite(mistMaterial.clone());
-    const scale = 3 + Math.random() * 6;
-    sprite.scale.set(scale, scale, 1);
-    
-    // position mist patches around the player in a wide ring
-    const angle = (i / mistCount) * Math.PI * 2;
-    const radius = 8 + Math.random() * 20;
-    sprite.position.set(
-      Math.cos(angle) * radius,
-      0.3 + Math.random() * 1.2,
-      Math.sin(angle) * radius
-    );
-    
-    // store drift parameters for animation
-    sprite.userData = {
-      baseX: sprite.position.x,
-      baseZ: sprite.position.z,
-      driftSpeed: 0.15 + Math.random() * 0.25,
-      driftPhase: Math.random() * Math.PI * 2,
-      bobPhase: Math.random() * Math.PI * 2,
-      bobSpeed: 0.4 + Math.random() * 0.3
-    };
-    
-    mistParticles.push(sprite);
+    sprite.visible = false;
     scene.add(sprite);
+    return sprite;
   }
 
-  camera.position.set(0, 1.6, 0);
+  camera.position.set(0, heightAt(0, 0) + 1.6, 0);
 
   return {
+    scene,
     grounds,
-    trees,
+    trees,      // active tree records; trees[i] is drawn by instance i
+    trunks,
+    crowns,
+    treeCapacity,
+    treeHash: createSpatialHash(minTreeSpacing),
+    colliders: createCollisionSystem(), // trunks and landmarks
+    landmarks: createLandmarkSystem(scene),
+    treeDensity,
+    minTreeSpacing,
+    growingTrees: [],
+    treesDirty: false, // instance matrices or count changed since the last upload
+    nearTrees: [],
+    nearScratch: [], // swapped with nearTrees each frame so neither list is reallocated
+    frame: 0,
     fog: scene.fog,
     background: scene.background,
+    hemi,
+    moon,
+    // set from the night cycle: { fogDensity, moonIntensity, dawn }
+    atmosphere: { fogDensity: 0.035, moonIntensity: 0.35, dawn: 0 },
     stars,
     mistParticles,
     tileSize,
     gridSize,
-    noiseOffset: new THREE.Vector2(Math.random() * 1000, Math.random() * 1000),
+    seed,
+    seedInt,
+    heightAt,
+    chunks: new Map(), // "cx,cz" -> { trees, mist }
+    mistPool: [],
+    createMist,
+    mistPerChunk,
+    streamKey: null,    // chunk the player was in at the last stream pass
+    streamInstant: true, // first pass (and reseeds) show the forest fully grown
     internalTime: 0 // used for dreamy tree animations
   };
 }
 
-function randomizeTreePosition(tree, cx, cz, seed = Math.random() * 1000, existingTrees = []) {
-  const minRadius = 6;
-  const maxRadius = 36;
-  const minTreeSpacing = 3.5; // minimum distance between trees
-  const maxAttempts = 20;
-
-  let attempts = 0;
-  let validPosition = false;
-  let x, z, angle, r;
-
-  while (!validPosition && attempts < maxAttempts) {
-    attempts++;
-    
-    // use a slightly more even angular spread
-    angle = Math.random() * Math.PI * 2;
-    r = minRadius + (maxRadius - minRadius) * (0.4 + 0.6 * Math.random());
-
-    x = cx + Math.cos(angle) * r;
-    z = cz + Math.sin(angle) * r;
-
-    // check spacing against existing trees
-    validPosition = true;
-    for (const other of existingTrees) {
-      if (other === tree) continue;
-      const dx = x - other.position.x;
-      const dz = z - other.position.z;
-      const dist = Math.sqrt(dx * dx + dz * dz);
-      if (dist < minTreeSpacing) {
-        validPosition = false;
-        break;
-      }
-    }
+// switch the dream to another seed; the forest is rebuilt on the next update
+export function setWorldSeed(world, seed) {
+  if (!seed || seed === world.seed) return;
+  for (const key of Array.from(world.chunks.keys())) {
+    unloadChunk(world, key);
+  }
+  world.seed = seed;
+  world.seedInt = seedToInt(seed);
+  world.heightAt = createHeightSampler(world.seedInt);
+  for (const ground of world.grounds) {
+    ground.userData.tileKey = null;
+  }
+  resetLandmarks(world.landmarks, world);
+  world.stars.geometry.dispose();
+  world.stars.geometry = createStarGeometry(createRng(world.seedInt ^ SEED_SALT.stars));
+  world.streamKey = null;
+  world.streamInstant = true;
+}
+
+// how deep the night is; applied on the next updateWorld
+export function setWorldAtmosphere(world, atmosphere) {
+  Object.assign(world.atmosphere, atmosphere);
+}
+
+// terrain height under a point; trees, mist and the player all stand on this
+export function getGroundHeight(world, x, z) {
+  return world.heightAt(x, z);
+}
+
+// landmarks found in this dream, for the save
+export function getWorldLandmarks(world) {
+  return getLandmarkState(world.landmarks);
+}
+
+export function setWorldLandmarks(world, saved) {
+  setLandmarkState(world.landmarks, world, saved);
+  for (const landmark of world.landmarks.placed) {
+    clearTreesAround(world, landmark.x, landmark.z, landmarkClearing(landmark));
   }
+}
+
+// walk a body of `radius` from (x, z) by (dx, dz), sliding around trunks and props
+export function moveWithCollisions(world, x, z, dx, dz, radius) {
+  return world.colliders.resolve(x, z, dx, dz, radius, world.heightAt(x, z));
+}
 
-  tree.position.x = x;
-  tree.position.z = z;
+// clear sight line between two ground points? only full-height obstacles block it
+export function hasLineOfSight(world, ax, az, bx, bz) {
+  return !world.colliders.segmentBlocked(ax, az, bx, bz);
+}
 
-  const sway = (Math.sin(seed) - 0.5) * 0.3;
-  tree.rotation.y = angle + sway;
+function chunkKey(ix, iz) {
+  return `${ix},${iz}`;
+}
+
+// same seed + same chunk -> same trees, regardless of visiting order.
+// spacing is checked through the spatial hash; trees keep half a spacing
+// away from chunk edges, so neighbouring chunks can never crowd each other
+// and the result does not depend on which neighbours are loaded
+function generateChunkTrees(world, ix, iz) {
+  const rng = regionRng(world.seedInt, ix, iz, SEED_SALT.trees);
+  const spacing = world.minTreeSpacing;
+  const margin = spacing / 2;
+  const span = CHUNK_SIZE - margin * 2;
+  const expected = (CHUNK_SIZE * CHUNK_SIZE * world.treeDensity) / 100;
+  const target = Math.round(expected * (0.75 + rng() * 0.5));
+  const maxAttempts = target * 6;
+  const placed = [];
+
+  for (let attempts = 0; attempts < maxAttempts && placed.length < target; attempts++) {
+    const x = ix * CHUNK_SIZE + margin + rng() * span;
+    const z = iz * CHUNK_SIZE + margin + rng() * span;
+    const rotY = rng() * Math.PI * 2;
+    const spawnRotation = rng() * Math.PI * 2;
+    const phase = rng() * 100;
+
+    if (x * x + z * z < SPAWN_CLEARING * SPAWN_CLEARING) continue;
+    if (landmarkClaims(world.landmarks, x, z, TRUNK_RADIUS)) continue;
+    if (world.treeHash.anyWithin(x, z, spacing)) continue;
+
+    const tree = {
+      x,
+      z,
+      baseY: world.heightAt(x, z) + TREE_BASE_Y - TRUNK_SINK,
+      rotY,
+      spawnRotation,
+      phase,
+      spawnTime: -1000,
+      slot: -1,
+      nearStamp: -1,
+      collider: null
+    };
+    world.treeHash.insert(tree);
+    placed.push(tree);
+  }
+  return placed;
+}
+
+function generateChunkMist(world, ix, iz, count) {
+  const rng = regionRng(world.seedInt, ix, iz, SEED_SALT.mist);
+  const patches = [];
+  for (let i = 0; i < count; i++) {
+    const baseX = (ix + rng()) * CHUNK_SIZE;
+    const baseZ = (iz + rng()) * CHUNK_SIZE;
+    patches.push({
+      baseX,
+      baseZ,
+      groundY: world.heightAt(baseX, baseZ),
+      scale: 3 + rng() * 6,
+      driftSpeed: 0.15 + rng() * 0.25,
+      driftPhase: rng() * Math.PI * 2,
+      bobPhase: rng() * Math.PI * 2,
+      bobSpeed: 0.4 + rng() * 0.3
+    });
+  }
+  return patches;
+}
+
+// shared scratch objects for composing instance matrices
+const tmpMatrix = new THREE.Matrix4();
+const tmpPosition = new THREE.Vector3();
+const tmpQuat = new THREE.Quaternion();
+const tmpEuler = new THREE.Euler();
+const tmpScale = new THREE.Vector3();
+
+function writeTreeMatrix(world, tree, y, rotY, lean, scale) {
+  tmpPosition.set(tree.x, y, tree.z);
+  tmpEuler.set(0, rotY, lean);
+  tmpQuat.setFromEuler(tmpEuler);
+  tmpScale.setScalar(scale);
+  tmpMatrix.compose(tmpPosition, tmpQuat, tmpScale);
+  world.trunks.setMatrixAt(tree.slot, tmpMatrix);
+  world.crowns.setMatrixAt(tree.slot, tmpMatrix);
+  world.treesDirty = true;
+}
+
+function writeRestingTree(world, tree) {
+  writeTreeMatrix(world, tree, tree.baseY, tree.rotY, 0, 1);
+}
+
+function addTree(world, tree, instant) {
+  if (world.trees.length >= world.treeCapacity) return false;
+  tree.slot = world.trees.length;
+  world.trees.push(tree);
+  tree.collider = world.colliders.add({ x: tree.x, z: tree.z, radius: TRUNK_RADIUS, kind: 'tree' });
+  if (instant) {
+    writeRestingTree(world, tree);
+  } else {
+    // when a chunk is "reloaded" into the endless ring, animate it in;
+    // start tiny and below ground so trees pop up from the distance
+    tree.spawnTime = world.internalTime;
+    writeTreeMatrix(world, tree, tree.baseY - 3.5, tree.rotY, 0, 0.01);
+    world.growingTrees.push(tree);
+  }
+  return true;
+}
+
+// swap the last instance into the freed slot so the draw range stays packed
+function removeTree(world, tree) {
+  world.treeHash.remove(tree);
+  if (tree.collider) {
+    world.colliders.remove(tree.collider);
+    tree.collider = null;
+  }
+  if (tree.slot === -1) return;
+  const last = world.trees.pop();
+  if (last !== tree) {
+    last.slot = tree.slot;
+    world.trees[last.slot] = last;
+    world.trunks.getMatrixAt(world.trees.length, tmpMatrix);
+    world.trunks.setMatrixAt(last.slot, tmpMatrix);
+    world.crowns.setMatrixAt(last.slot, tmpMatrix);
+  }
+  tree.slot = -1;
+  world.treesDirty = true;
+}
+
+function loadChunk(world, ix, iz, wantTrees, wantMist, instant) {
+  const key = chunkKey(ix, iz);
+  let chunk = world.chunks.get(key);
+  if (!chunk) {
+    chunk = { ix, iz, trees: null, mist: null };
+    world.chunks.set(key, chunk);
+  }
+
+  if (wantTrees && !chunk.trees) {
+    chunk.trees = generateChunkTrees(world, ix, iz).filter((tree) => {
+      if (addTree(world, tree, instant)) return true;
+      world.treeHash.remove(tree);
+      return false;
+    });
+  }
+
+  if (wantMist && !chunk.mist) {
+    chunk.mist = generateChunkMist(world, ix, iz, world.mistPerChunk).map((patch) => {
+      const sprite = world.mistPool.pop() || world.createMist();
+      sprite.scale.set(patch.scale, patch.scale, 1);
+      sprite.userData = patch;
+      sprite.visible = true;
+      world.mistParticles.push(sprite);
+      return sprite;
+    });
+  }
+}
+
+function releaseTrees(world, chunk) {
+  if (!chunk.trees) return;
+  for (const tree of chunk.trees) {
+    removeTree(world, tree);
+  }
+  const gone = new Set(chunk.trees);
+  world.growingTrees = world.growingTrees.filter((t) => !gone.has(t));
+  world.nearTrees = world.nearTrees.filter((t) => !gone.has(t));
+  chunk.trees = null;
+}
+
+// a landmark turning up where trees already stand takes the ground from them
+function clearTreesAround(world, x, z, radius) {
+  const r2 = (radius + TRUNK_RADIUS) * (radius + TRUNK_RADIUS);
+  const gone = new Set();
+  for (const chunk of world.chunks.values()) {
+    if (!chunk.trees) continue;
+    chunk.trees = chunk.trees.filter((tree) => {
+      const dx = tree.x - x;
+      const dz = tree.z - z;
+      if (dx * dx + dz * dz >= r2) return true;
+      removeTree(world, tree);
+      gone.add(tree);
+      return false;
+    });
+  }
+  if (!gone.size) return;
+  world.growingTrees = world.growingTrees.filter((t) => !gone.has(t));
+  world.nearTrees = world.nearTrees.filter((t) => !gone.has(t));
+}
+
+function releaseMist(world, chunk) {
+  if (!chunk.mist) return;
+  for (const sprite of chunk.mist) {
+    sprite.visible = false;
+    world.mistPool.push(sprite);
+  }
+  const gone = new Set(chunk.mist);
+  world.mistParticles.splice(
+    0,
+    world.mistParticles.length,
+    ...world.mistParticles.filter((m) => !gone.has(m))
+  );
+  chunk.mist = null;
+}
+
+function unloadChunk(world, key) {
+  const chunk = world.chunks.get(key);
+  if (!chunk) return;
+  releaseTrees(world, chunk);
+  releaseMist(world, chunk);
+  world.chunks.delete(key);
+}
+
+// load chunks entering the streaming radius and release those leaving it
+function streamChunks(world, cx, cz) {
+  const cix = Math.floor(cx / CHUNK_SIZE);
+  const ciz = Math.floor(cz / CHUNK_SIZE);
+  const key = chunkKey(cix, ciz);
+  if (key === world.streamKey) return;
+
+  const instant = world.streamInstant;
+  world.streamKey = key;
+  world.streamInstant = false;
+
+  const halfDiag = CHUNK_SIZE * Math.SQRT1_2;
+  const reach = Math.ceil((TREE_STREAM_RADIUS + halfDiag) / CHUNK_SIZE);
+
+  // release first so freed instances are available to the incoming chunks
+  for (const [chunkId, chunk] of world.chunks) {
+    const dx = (chunk.ix + 0.5) * CHUNK_SIZE - cx;
+    const dz = (chunk.iz + 0.5) * CHUNK_SIZE - cz;
+    const dist = Math.sqrt(dx * dx + dz * dz) - halfDiag;
+    if (dist > TREE_STREAM_RADIUS) unloadChunk(world, chunkId);
+    else if (dist > MIST_STREAM_RADIUS) releaseMist(world, chunk);
+  }
+
+  for (let ix = cix - reach; ix <= cix + reach; ix++) {
+    for (let iz = ciz - reach; iz <= ciz + reach; iz++) {
+      const dx = (ix + 0.5) * CHUNK_SIZE - cx;
+      const dz = (iz + 0.5) * CHUNK_SIZE - cz;
+      const dist = Math.sqrt(dx * dx + dz * dz) - halfDiag;
+      const wantTrees = dist <= TREE_STREAM_RADIUS;
+      const wantMist = dist <= MIST_STREAM_RADIUS;
+      if (!wantTrees && !wantMist) continue;
+      loadChunk(world, ix, iz, wantTrees, wantMist, instant);
+    }
+  }
 }
 
 // new helper to create a spherical shell of stars overhead
-function createStarGeometry() {
+function createStarGeometry(rng) {
   const starCount = 900;
   const innerRadius = 40;
   const outerRadius = 120;
@@ -275,13 +574,13 @@ function createStarGeometry() {
 
   let i = 0;
   while (i < starCount) {
-    const u = Math.random();
-    const v = Math.random();
+    const u = rng();
+    const v = rng();
 
     const theta = 2 * Math.PI * u;
     const phi = Math.acos(2 * v - 1);
 
-    const r = innerRadius + (outerRadius - innerRadius) * Math.pow(Math.random(), 0.5);
+    const r = innerRadius + (outerRadius - innerRadius) * Math.pow(rng(), 0.5);
 
     const sinPhi = Math.sin(phi);
     const x = r * sinPhi * Math.cos(theta);
@@ -303,101 +602,118 @@ function createStarGeometry() {
   return geometry;
 }
 
+// dreamy / horror-themed motion as you walk toward trees.
+// returns true while the tree is still growing in
+function animateTree(world, t, cx, cz) {
+  const dx = t.x - cx;
+  const dz = t.z - cz;
+  const dist = Math.sqrt(dx * dx + dz * dz);
+
+  // spawn pop-up for trees that just appeared from far away
+  const age = Math.max(0, (world.internalTime - t.spawnTime));
+  let growFactor = 1.0;
+  let riseOffset = 0.0;
+  let spawnTwist = 0;
+
+  if (age < GROW_DURATION) {
+    const u = age / GROW_DURATION;
+
+    // eerie horror ease: painfully slow creep with sudden disturbing growth bursts
+    let eased;
+    if (u < 0.5) {
+      // extremely slow, agonizing creep from the depths
+      eased = Math.pow(u / 0.5, 0.4) * 0.15;
+    } else {
+      // sudden violent emergence with multiple jerky movements
+      const t2 = (u - 0.5) / 0.5;
+      const overshoot = 2.8;
+      // add stuttering/jerky motion for horror effect
+      const stutter = Math.sin(t2 * Math.PI * 8) * 0.08 * (1 - t2);
+      eased = 0.15 + (1 + overshoot * Math.pow(t2 - 1, 3) + stutter) * 0.85;
+    }
+
+    // scale from tiny to slightly oversized, then settle
+    growFactor = THREE.MathUtils.lerp(0.01, 1.25, Math.min(1, eased));
+
+    // rise up from deep underground with violent emergence
+    const distFactor = THREE.MathUtils.clamp((dist - 10) / 25, 0, 1);
+    const baseRise = THREE.MathUtils.lerp(0.5, 2.5, distFactor);
+    riseOffset = THREE.MathUtils.lerp(-4.5, baseRise, Math.min(1, eased));
+
+    // eerie twisting rotation during spawn - more pronounced and unsettling
+    const twistAmount = Math.sin(u * Math.PI) * 0.9 + Math.sin(u * Math.PI * 3) * 0.3;
+    spawnTwist = t.spawnRotation * twistAmount;
+  }
+
+  // subtle breathing / leaning when near the player
+  let lean = 0;
+  let verticalPulse = 0;
+  if (dist < NEAR_RADIUS) {
+    const proximity = 1 - dist / NEAR_RADIUS;
+    const tTime = world.internalTime * 1.8 + t.phase;
+    verticalPulse = Math.sin(tTime * 2.0) * 0.15 * proximity;
+    lean = Math.sin(tTime * 1.3) * 0.12 * proximity;
+  }
+
+  // apply animation
+  writeTreeMatrix(world, t, t.baseY + verticalPulse + riseOffset, t.rotY + spawnTwist, lean, growFactor);
+  return age < GROW_DURATION;
+}
+
 export function updateWorld(world, camera, dt) {
   const { trees, mistParticles } = world;
   const cx = camera.position.x;
   const cz = camera.position.z;
-  const maxDist = 42;
 
   // advance internal time for animations
   world.internalTime = (world.internalTime || 0) + dt;
 
-  // recycle trees around the player
-  for (let i = 0; i < trees.length; i++) {
-    const t = trees[i];
-    const dx = t.position.x - cx;
-    const dz = t.position.z - cz;
-    if (dx * dx + dz * dz > maxDist * maxDist) {
-      randomizeTreePosition(t, cx, cz, i * 13.37, trees);
-      // when tree is "reloaded" into the endless ring, animate it in
-      t.userData.spawnTime = world.internalTime;
-      // start tiny and below ground so they pop up from the distance
-      const baseY = t.userData.baseY ?? 1.6;
-      t.position.y = baseY - 3.5;
-      t.scale.set(0.01, 0.01, 0.01);
-      // add eerie rotation offset for horror effect
-      t.userData.spawnRotation = Math.random() * Math.PI * 2;
-    }
+  // landmarks claim their ground before any new chunk grows trees on it
+  for (const landmark of updateLandmarks(world.landmarks, world, camera, world.internalTime)) {
+    clearTreesAround(world, landmark.x, landmark.z, landmarkClearing(landmark));
   }
 
-  // dreamy / horror-themed motion as you walk toward trees
-  for (let i = 0; i < trees.length; i++) {
-    const t = trees[i];
-    const dx = t.position.x - cx;
-    const dz = t.position.z - cz;
-    const dist = Math.sqrt(dx * dx + dz * dz);
-
-    const baseY = t.userData.baseY ?? 1.6;
+  // stream seeded chunks in and out around the player
+  streamChunks(world, cx, cz);
 
-    // spawn pop-up (0–3.5 seconds) for trees that just appeared from far away
-    const spawnTime = t.userData.spawnTime ?? 0;
-    const age = Math.max(0, (world.internalTime - spawnTime));
-    const growDuration = 10.5; // Increased from 7.5 for even slower, eerier spawn
-    let growFactor = 1.0;
-    let riseOffset = 0.0;
-    let spawnTwist = 0;
+  // only trees that are growing in or near the player animate;
+  // everything else keeps the resting matrix written when it spawned
+  const frame = ++world.frame;
 
-    if (age < growDuration) {
-      const u = age / growDuration;
-      
-      // eerie horror ease: painfully slow creep with sudden disturbing growth bursts
-      let eased;
-      if (u < 0.5) {
-        // extremely slow, agonizing creep from the depths
-        eased = Math.pow(u / 0.5, 0.4) * 0.15;
-      } else {
-        // sudden violent emergence with multiple jerky movements
-        const t2 = (u - 0.5) / 0.5;
-        const overshoot = 2.8;
-        // add stuttering/jerky motion for horror effect
-        const stutter = Math.sin(t2 * Math.PI * 8) * 0.08 * (1 - t2);
-        eased = 0.15 + (1 + overshoot * Math.pow(t2 - 1, 3) + stutter) * 0.85;
-      }
-
-      // scale from tiny to slightly oversized, then settle
-      growFactor = THREE.MathUtils.lerp(0.01, 1.25, Math.min(1, eased));
-
-      // rise up from deep underground with violent emergence
-      const distFactor = THREE.MathUtils.clamp((dist - 10) / 25, 0, 1);
-      const baseRise = THREE.MathUtils.lerp(0.5, 2.5, distFactor);
-      riseOffset = THREE.MathUtils.lerp(-4.5, baseRise, Math.min(1, eased));
-
-      // eerie twisting rotation during spawn - more pronounced and unsettling
-      const spawnRot = t.userData.spawnRotation || 0;
-      const twistAmount = Math.sin(u * Math.PI) * 0.9 + Math.sin(u * Math.PI * 3) * 0.3;
-      spawnTwist = spawnRot * twistAmount;
-    } else {
-      growFactor = 1.0;
-      riseOffset = 0.0;
-      spawnTwist = 0;
-    }
-
-    // subtle breathing / leaning when near the player
-    const nearRadius = 18;
-    let lean = 0;
-    let verticalPulse = 0;
-    if (dist < nearRadius) {
-      const proximity = 1 - dist / nearRadius;
-      const tTime = world.internalTime * 1.8 + i * 0.37;
-      verticalPulse = Math.sin(tTime * 2.0) * 0.15 * proximity;
-      lean = Math.sin(tTime * 1.3) * 0.12 * proximity;
-    }
-
-    // apply animation
-    t.scale.setScalar(growFactor);
-    t.position.y = baseY + verticalPulse + riseOffset;
-    t.rotation.z = lean;
-    t.rotation.y += spawnTwist;
+  // compacted in place: trees that finished growing drop out
+  const growing = world.growingTrees;
+  let stillGrowing = 0;
+  for (let i = 0; i < growing.length; i++) {
+    const t = growing[i];
+    if (animateTree(world, t, cx, cz)) growing[stillGrowing++] = t;
+    t.nearStamp = frame;
+  }
+  growing.length = stillGrowing;
+
+  // last frame's list is still needed below, so gather into the spare one
+  const near = world.nearScratch;
+  near.length = 0;
+  world.treeHash.query(cx, cz, NEAR_RADIUS, near);
+  for (let i = 0; i < near.length; i++) {
+    const t = near[i];
+    if (t.slot === -1 || t.nearStamp === frame) continue;
+    animateTree(world, t, cx, cz);
+    t.nearStamp = frame;
+  }
+  // trees that just left the near radius settle back to rest
+  for (let i = 0; i < world.nearTrees.length; i++) {
+    const t = world.nearTrees[i];
+    if (t.slot !== -1 && t.nearStamp !== frame) writeRestingTree(world, t);
+  }
+  world.nearScratch = world.nearTrees;
+  world.nearTrees = near;
+
+  if (world.treesDirty) {
+    world.trunks.count = trees.length;
+    world.crowns.count = trees.length;
+    world.trunks.instanceMatrix.needsUpdate = true;
+    world.crowns.instanceMatrix.needsUpdate = true;
+    world.treesDirty = false;
   }
 
   // NEW: update mist particles - slow drift and vertical bobbing
@@ -413,9 +729,9 @@ export function updateWorld(world, camera, dt) {
       // vertical bobbing
       const bob = Math.sin(world.internalTime * data.bobSpeed + data.bobPhase) * 0.3;
       
-      mist.position.x = cx + data.baseX + driftX;
-      mist.position.z = cz + data.baseZ + driftZ;
-      mist.position.y = 0.3 + bob;
+      mist.position.x = data.baseX + driftX;
+      mist.position.z = data.baseZ + driftZ;
+      mist.position.y = data.groundY + 0.3 + bob;
       
       // fade mist based on distance from camera for depth
       const mistDist = Math.sqrt(
@@ -438,14 +754,31 @@ export function updateWorld(world, camera, dt) {
     const baseX = Math.floor(cx / tileSize) * tileSize;
     const baseZ = Math.floor(cz / tileSize) * tileSize;
 
-    let idx = 0;
+    // tiles that are still in range keep their shape; only the freed ones
+    // move to the new edge and get reshaped to the heightfield there
+    const wantedKeys = new Map();
     for (let gx = -halfGrid; gx <= halfGrid; gx++) {
       for (let gz = -halfGrid; gz <= halfGrid; gz++) {
-        const ground = world.grounds[idx++];
-        ground.position.x = baseX + gx * tileSize;
-        ground.position.z = baseZ + gz * tileSize;
+        const x = baseX + gx * tileSize;
+        const z = baseZ + gz * tileSize;
+        wantedKeys.set(`${x},${z}`, { x, z });
+      }
+    }
+    const freeTiles = [];
+    for (const ground of world.grounds) {
+      if (wantedKeys.has(ground.userData.tileKey)) {
+        wantedKeys.delete(ground.userData.tileKey);
+      } else {
+        freeTiles.push(ground);
       }
     }
+    for (const [tileKey, spot] of wantedKeys) {
+      const ground = freeTiles.pop();
+      ground.position.x = spot.x;
+      ground.position.z = spot.z;
+      shapeTerrainTile(ground.geometry, world.heightAt, spot.x, spot.z);
+      ground.userData.tileKey = tileKey;
+    }
   }
 
   // subtle star drift/rotation for a living sky
@@ -456,17 +789,21 @@ export function updateWorld(world, camera, dt) {
   // subtle breathing of fog and background color
   const t = performance.now() * 0.00005;
   const pulse = (Math.sin(t * 6) + 1) * 0.5 * 0.08;
+  const { fogDensity, moonIntensity, dawn } = world.atmosphere;
 
   if (world.fog && world.fog.color && world.background) {
-    const baseFog = new THREE.Color(0x070a12);
-    const fogColor = baseFog.clone();
-    fogColor.offsetHSL(0, 0, pulse);
-    world.fog.color.copy(fogColor);
+    // dawn washes the dark blue out toward a cold grey
+    const baseFog = tmpBaseFog.lerpColors(NIGHT_FOG_COLOR, DAWN_FOG_COLOR, dawn);
+    world.fog.color.copy(baseFog).offsetHSL(0, 0, pulse);
+    world.fog.density = fogDensity;
 
-    const bgColor = new THREE.Color(0x070a12);
-    bgColor.offsetHSL(0, 0, pulse * 0.6);
     if (world.background && world.background.isColor) {
-      world.background.copy(bgColor);
+      world.background.copy(baseFog).offsetHSL(0, 0, pulse * 0.6);
     }
   }
+
+  // the milky way fades out as the sky greys
+  world.scene.backgroundIntensity = 1 - dawn * 0.8;
+  world.moon.intensity = moonIntensity;
+  world.hemi.intensity = 0.6 + dawn * 0.5;
 }
\ No newline at end of file